@@ -61,14 +61,57 @@ function turnRight() {
   startTurnAnimation(newDir);
 }
 
-// Set up button event listeners
+// Use whatever is in front of the party: doors, levers, secret walls, items...
+function interact() {
+  if (player.isMoving || player.isTurning) return;
+  var delta = dirDeltas(player.direction);
+  var tx = Math.floor(player.x) + delta[0];
+  var ty = Math.floor(player.y) + delta[1];
+
+  var result = window.mechanismManager ? window.mechanismManager.interact(tx, ty) : null;
+
+  if (!result && window.entityManager) {
+    var target = window.entityManager.getAtTile(tx, ty).find(function(entity) {
+      return entity.active && entity.interactive;
+    });
+    if (target) result = target.interact(player);
+  }
+
+  log(result ? result.message : "There is nothing here to interact with.");
+}
+
+// Movement buttons and the player command (and input action) each one runs
+var CONTROL_BUTTONS = {
+  btnForward: "moveForward",
+  btnBack: "moveBackward",
+  btnTurnLeft: "turnLeft",
+  btnTurnRight: "turnRight",
+  btnStrafeLeft: "strafeLeft",
+  btnStrafeRight: "strafeRight",
+  btnInteract: "interact"
+};
+
+// Set up button event listeners (commands go through runPlayerCommand so
+// they can be recorded, see replay.js)
 function setupControlButtons() {
-  document.getElementById("btnForward").onclick = moveForward;
-  document.getElementById("btnBack").onclick = moveBackward;
-  document.getElementById("btnTurnLeft").onclick = turnLeft;
-  document.getElementById("btnTurnRight").onclick = turnRight;
-  document.getElementById("btnStrafeLeft").onclick = strafeLeft;
-  document.getElementById("btnStrafeRight").onclick = strafeRight;
+  Object.keys(CONTROL_BUTTONS).forEach(function(id) {
+    var button = document.getElementById(id);
+    if (button) button.onclick = function() { runPlayerCommand(CONTROL_BUTTONS[id]); };
+  });
+  updateControlButtonHints();
+}
+
+// Show the current key on buttons labelled like "Forward (W)"
+function updateControlButtonHints() {
+  Object.keys(CONTROL_BUTTONS).forEach(function(id) {
+    var button = document.getElementById(id);
+    if (!button) return;
+    if (button.dataset.label === undefined) {
+      if (!/\(.*\)$/.test(button.textContent)) return; // Icon buttons (mobile pages)
+      button.dataset.label = button.textContent.replace(/\s*\(.*\)$/, "");
+    }
+    button.textContent = button.dataset.label + getKeyHint(CONTROL_BUTTONS[id]);
+  });
 }
 
 // Test functions for renderer controls
@@ -84,6 +127,19 @@ function testToggleRenderer() {
   updateControlPanelButtons();
 }
 
+function toggleEnhancedLighting() {
+  window.useEnhancedLighting = !window.useEnhancedLighting;
+  log("Enhanced lighting: " + (window.useEnhancedLighting ? "ON" : "OFF"));
+  updateControlPanelButtons();
+}
+
+function toggleLightingDebug() {
+  if (!window.lightingManager) return;
+  window.lightingManager.debugMode = !window.lightingManager.debugMode;
+  log("Debug mode: " + (window.lightingManager.debugMode ? "ON" : "OFF"));
+  updateControlPanelButtons();
+}
+
 function testToggleQuality() {
   console.log("Test toggle quality button clicked"); 
   if (typeof window.toggleRendererQuality === 'function') {
@@ -101,25 +157,40 @@ function updateControlPanelButtons() {
   // Update renderer toggle button
   var rendererToggle = document.getElementById('rendererToggleBtn');
   if (rendererToggle) {
-    rendererToggle.textContent = `Switch to ${window.usingWebGL ? 'Canvas' : 'WebGL'} (R)`;
+    rendererToggle.textContent = `Switch to ${window.usingWebGL ? 'Canvas' : 'WebGL'}${getKeyHint('toggleRenderer')}`;
   }
   
   // Update quality toggle button
   var qualityToggle = document.getElementById('qualityToggleBtn');
   if (qualityToggle && window.renderer && window.renderer.options) {
-    qualityToggle.textContent = `Quality: ${window.renderer.options.quality} (T)`;
+    qualityToggle.textContent = `Quality: ${window.renderer.options.quality}${getKeyHint('toggleQuality')}`;
   }
   
   // Update lighting toggle button
   var lightingToggle = document.getElementById('lightingToggleBtn');
   if (lightingToggle) {
-    lightingToggle.textContent = `Lighting: ${window.useEnhancedLighting ? 'ON' : 'OFF'} (L)`;
+    lightingToggle.textContent = `Lighting: ${window.useEnhancedLighting ? 'ON' : 'OFF'}${getKeyHint('toggleLighting')}`;
   }
   
   // Update debug toggle button
   var debugToggle = document.getElementById('debugToggleBtn');
   if (debugToggle && window.lightingManager) {
-    debugToggle.textContent = `Debug: ${window.lightingManager.debugMode ? 'ON' : 'OFF'} (D)`;
+    debugToggle.textContent = `Debug: ${window.lightingManager.debugMode ? 'ON' : 'OFF'}${getKeyHint('toggleDebug')}`;
+  }
+  
+  // Update diagnostics button (its key only works in dev mode)
+  var diagnosticBtn = document.getElementById('diagnosticBtn');
+  if (diagnosticBtn) {
+    diagnosticBtn.textContent = `Diagnostics${getKeyHint('diagnostics')}`;
+  }
+  
+  // Key hints on the movement buttons
+  updateControlButtonHints();
+  
+  // Update random seed (changes when a save is loaded)
+  var seedInfo = document.getElementById('rngSeedInfo');
+  if (seedInfo && window.rng) {
+    seedInfo.textContent = `Seed: ${window.rng.seed}`;
   }
 }
 
@@ -157,7 +228,7 @@ function createRendererControls() {
   // Add renderer toggle button
   var rendererToggle = document.createElement('button');
   rendererToggle.id = 'rendererToggleBtn';
-  rendererToggle.textContent = 'Switch Renderer (R)';
+  rendererToggle.textContent = 'Switch Renderer';
   rendererToggle.style.display = 'block';
   rendererToggle.style.width = '100%';
   rendererToggle.style.padding = '5px';
@@ -173,7 +244,7 @@ function createRendererControls() {
   // Add quality toggle button
   var qualityToggle = document.createElement('button');
   qualityToggle.id = 'qualityToggleBtn';
-  qualityToggle.textContent = 'Toggle Quality (T)';
+  qualityToggle.textContent = 'Toggle Quality';
   qualityToggle.style.display = 'block';
   qualityToggle.style.width = '100%';
   qualityToggle.style.padding = '5px';
@@ -189,7 +260,7 @@ function createRendererControls() {
   // Add lighting toggle button
   var lightingToggle = document.createElement('button');
   lightingToggle.id = 'lightingToggleBtn';
-  lightingToggle.textContent = 'Toggle Lighting (L)';
+  lightingToggle.textContent = 'Toggle Lighting';
   lightingToggle.style.display = 'block';
   lightingToggle.style.width = '100%';
   lightingToggle.style.padding = '5px';
@@ -199,17 +270,13 @@ function createRendererControls() {
   lightingToggle.style.border = 'none';
   lightingToggle.style.borderRadius = '3px';
   lightingToggle.style.cursor = 'pointer';
-  lightingToggle.onclick = function() {
-    window.useEnhancedLighting = !window.useEnhancedLighting;
-    log("Enhanced lighting: " + (window.useEnhancedLighting ? "ON" : "OFF"));
-    updateControlPanelButtons();
-  };
+  lightingToggle.onclick = toggleEnhancedLighting;
   controlPanel.appendChild(lightingToggle);
   
   // Add debug toggle button
   var debugToggle = document.createElement('button');
   debugToggle.id = 'debugToggleBtn';
-  debugToggle.textContent = 'Toggle Debug (D)';
+  debugToggle.textContent = 'Toggle Debug';
   debugToggle.style.display = 'block';
   debugToggle.style.width = '100%';
   debugToggle.style.padding = '5px';
@@ -218,19 +285,21 @@ function createRendererControls() {
   debugToggle.style.border = 'none';
   debugToggle.style.borderRadius = '3px';
   debugToggle.style.cursor = 'pointer';
-  debugToggle.onclick = function() {
-    if (window.lightingManager) {
-      window.lightingManager.debugMode = !window.lightingManager.debugMode;
-      log("Debug mode: " + (window.lightingManager.debugMode ? "ON" : "OFF"));
-      updateControlPanelButtons();
-    }
-  };
+  debugToggle.onclick = toggleLightingDebug;
   controlPanel.appendChild(debugToggle);
   
+  // Add random seed, so a reported run can be replayed with ?seed=
+  var seedInfo = document.createElement('div');
+  seedInfo.id = 'rngSeedInfo';
+  seedInfo.style.marginTop = '5px';
+  seedInfo.style.fontFamily = 'monospace';
+  seedInfo.style.userSelect = 'text';
+  controlPanel.appendChild(seedInfo);
+  
   // Add diagnostic button
   var diagnosticBtn = document.createElement('button');
   diagnosticBtn.id = 'diagnosticBtn';
-  diagnosticBtn.textContent = 'Diagnostics (P)';
+  diagnosticBtn.textContent = 'Diagnostics';
   diagnosticBtn.style.display = 'block';
   diagnosticBtn.style.width = '100%';
   diagnosticBtn.style.padding = '5px';
@@ -269,63 +338,16 @@ function setupKeyboardControls() {
   console.log("Keyboard controls initialized");
 }
 
-// Centralized keyboard handler function
+// Centralized keyboard handler: keys run the actions bound to them (see input.js)
 function handleKeyDown(e) {
-  var key = e.key.toLowerCase();
-  console.log("Key pressed:", key);
-  
-  // Movement controls
-  if (key === 'q') turnLeft();
-  if (key === 'w') moveForward();
-  if (key === 'e') turnRight();
-  if (key === 'a') strafeLeft();
-  if (key === 's') moveBackward();
-  if (key === 'd') strafeRight();
-  
-  // Renderer controls
-  if (key === 'r') {
-    console.log("R key pressed - toggling renderer");
-    if (typeof window.toggleRenderer === 'function') {
-      window.toggleRenderer();
-      console.log("Renderer toggled to:", window.usingWebGL ? "WebGL" : "Canvas");
-    } else {
-      console.error("toggleRenderer function not found!");
-    }
-  }
-  
-  // Quality controls
-  if (key === 't') {
-    console.log("T key pressed - toggling quality");
-    if (typeof window.toggleRendererQuality === 'function') {
-      const quality = window.toggleRendererQuality();
-      console.log("Quality set to:", quality);
-    } else {
-      console.error("toggleRendererQuality function not found!");
-    }
-  }
-  
-  // Lighting controls
-  if (key === 'l') {
-    console.log("L key pressed - toggling lighting");
-    window.useEnhancedLighting = !window.useEnhancedLighting;
-    log("Enhanced lighting: " + (window.useEnhancedLighting ? "ON" : "OFF"));
-    updateControlPanelButtons();
-  }
-  
-  // Debug mode
-  if (key === 'd' && window.lightingManager) {
-    console.log("D key pressed - toggling debug mode");
-    window.lightingManager.debugMode = !window.lightingManager.debugMode;
-    log("Debug mode: " + (window.lightingManager.debugMode ? "ON" : "OFF"));
-    updateControlPanelButtons();
+  // The key bindings panel is waiting for a key
+  if (isCapturingKey()) {
+    captureKey(e);
+    return;
   }
   
-  // Diagnostic key
-  if (key === 'p' && window.diagnoseRendererIssues) {
-    console.log("P key pressed - printing diagnostic info");
-    window.diagnoseRendererIssues();
-    log("Renderer diagnostic printed to console");
-  }
+  var actionId = getActionForKey(keyFromEvent(e));
+  if (actionId && runInputAction(actionId)) e.preventDefault();
 }
 
 // Initialize controls when the page loads
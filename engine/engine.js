@@ -6,8 +6,11 @@ function loadEngineComponents(callback) {
   var componentsToLoad = [
     // Core components
     'engine/entity.js',      // Entity system
+    'engine/raycaster.js',   // Grid raycasting (castRay)
     'engine/controls.js',    // Input handling
     'engine/player.js',      // Player functionality
+    'engine/gameloop.js',    // Fixed-timestep simulation clock
+    'engine/pathfinding.js', // A* and flow fields for monsters
     
     // WebGL and rendering components
     'engine/shader-lib.js',      // GLSL shaders
@@ -47,6 +50,15 @@ window.addEventListener("load", function() {
   loadEngineComponents(function() {
     // Initialize engine once all components are loaded
     initEngine();
+    
+    // The lighting scripts are injected after the page's load event has
+    // fired, so they are set up from here, in dependency order
+    initNormalMapping();
+    setupLightingSystem();
+    initLightingIntegration();
+    
+    // The game waits for this before it builds the level (see beholder.js)
+    gameEvents.emit("engine:ready", {});
   });
 });
 
@@ -58,8 +70,7 @@ function initEngine() {
   // Initialize player
   player.angle = dirToAngle(player.direction);
   
-  // Parse the map
-  parseAsciiMap();
+  // The map is parsed by loadLevel() in beholder.js (see parseAsciiMap in levels.js)
   
   // Export global objects and functions for use in other modules
   exportGlobals();
@@ -140,13 +151,6 @@ function setupFPSCounter() {
       window.renderer.toggleFPS();
     }
   };
-  
-  // Keyboard shortcut for FPS counter
-  document.addEventListener('keydown', function(e) {
-    if (e.key.toLowerCase() === 'f') {
-      window.toggleFPSCounter();
-    }
-  });
 }
 
 // Update FPS counter in the game loop
@@ -185,33 +189,26 @@ function updateFPS(timestamp) {
 
 // Add at the beginning of gameLoop:
 function gameLoop(time) {
-  var dt = time - lastTime;
-  lastTime = time;
+  // Read controllers before the simulation steps (see gamepad.js)
+  if (window.pollGamepads) window.pollGamepads(time);
+  
+  // Advance the simulation in fixed steps (see gameloop.js)
+  var alpha = simulationLoop.advance(time);
   
-  // Update player movement and turning animations
-  updatePlayerAnimations(dt);
+  // Draw everything between the last two simulation steps
+  beginInterpolatedRender(alpha);
   
   // Update player position in WebGL renderer if available
   if (window.usingWebGL && window.renderer && window.renderer.updatePlayer) {
     window.renderer.updatePlayer(player);
   }
   
-  // Update game entities
-  if (window.updateGame) {
-    window.updateGame(dt);
-  }
-  
-  // Update lighting system if available
-  if (window.lightingManager && window.lightingManager.update) {
-    window.lightingManager.update(dt);
-    
-    // Update player torch position
-    if (window.playerTorchId) {
-      const torch = window.lightingManager.getById(window.playerTorchId);
-      if (torch) {
-        torch.x = animX();
-        torch.y = animY();
-      }
+  // Update player torch position
+  if (window.lightingManager && window.playerTorchId) {
+    const torch = window.lightingManager.getById(window.playerTorchId);
+    if (torch) {
+      torch.x = animX();
+      torch.y = animY();
     }
   }
   
@@ -240,6 +237,8 @@ function gameLoop(time) {
     renderFrame();
   }
   
+  endInterpolatedRender();
+  
   // Continue the loop
   requestAnimationFrame(gameLoop);
 }
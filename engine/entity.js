@@ -1,9 +1,11 @@
 // entity.js - Base entity system for Might of the Beholder
-// Contains the base Entity class and EntityManager
+// Contains the base Entity class, the SpatialHash used for position queries
+// and EntityManager
 
-// Utility function to generate unique IDs
+// Utility function to generate unique IDs (from the cosmetic stream, so ids
+// never disturb gameplay rolls)
 function generateUniqueId() {
-  return '_' + Math.random().toString(36).substr(2, 9);
+  return '_' + rng.stream("cosmetic").next().toString(36).substr(2, 9);
 }
 
 // Base entity class for all objects in the game world
@@ -33,6 +35,25 @@ class Entity {
     this.properties = properties;
   }
   
+  // Position setters keep the owning EntityManager's spatial hash up to date
+  get x() {
+    return this._x;
+  }
+  
+  set x(value) {
+    this._x = value;
+    if (this.spatialIndex) this.spatialIndex.update(this);
+  }
+  
+  get y() {
+    return this._y;
+  }
+  
+  set y(value) {
+    this._y = value;
+    if (this.spatialIndex) this.spatialIndex.update(this);
+  }
+  
   update(dt) {
     // Base update logic - override in subclasses
     if (this.onUpdate) this.onUpdate(dt);
@@ -71,6 +92,12 @@ class Entity {
     // Basic billboard rendering - override for custom rendering
     if (!this.visible) return;
     
+    // Let other systems (lighting) take over drawing
+    const event = gameEvents.emit("entity:render", {
+      entity: this, ctx: ctx, player: player, screenW: screenW, screenH: screenH, fov: fov, castRay: castRay
+    });
+    if (event.defaultPrevented) return;
+    
     // Calculate vector from player to entity
     const dx = this.x - player.x;
     const dy = this.y - player.y;
@@ -130,21 +157,138 @@ class Entity {
 }
 
 // EntityManager to handle all game objects
+// ==================== SPATIAL HASH ====================
+// Buckets entities by grid cell (one tile by default) so position queries
+// only look at the cells around them instead of every entity
+class SpatialHash {
+  constructor(cellSize = 1) {
+    this.cellSize = cellSize;
+    this.cells = new Map();       // cell key -> Set of entities
+    this.entityCells = new Map(); // entity -> cell key it's filed under
+  }
+  
+  cellCoord(value) {
+    return Math.floor(value / this.cellSize);
+  }
+  
+  key(cellX, cellY) {
+    return `${cellX},${cellY}`;
+  }
+  
+  insert(entity) {
+    const key = this.key(this.cellCoord(entity.x), this.cellCoord(entity.y));
+    if (!this.cells.has(key)) this.cells.set(key, new Set());
+    this.cells.get(key).add(entity);
+    this.entityCells.set(entity, key);
+  }
+  
+  remove(entity) {
+    const key = this.entityCells.get(entity);
+    if (key === undefined) return;
+    
+    const cell = this.cells.get(key);
+    cell.delete(entity);
+    if (cell.size === 0) this.cells.delete(key);
+    this.entityCells.delete(entity);
+  }
+  
+  // Refile an entity after it moved (cheap when it stayed in its cell)
+  update(entity) {
+    const key = this.entityCells.get(entity);
+    if (key === undefined) return;
+    if (key === this.key(this.cellCoord(entity.x), this.cellCoord(entity.y))) return;
+    
+    this.remove(entity);
+    this.insert(entity);
+  }
+  
+  clear() {
+    this.cells.clear();
+    this.entityCells.clear();
+  }
+  
+  // Everything filed under one cell
+  getInCell(cellX, cellY) {
+    const cell = this.cells.get(this.key(cellX, cellY));
+    return cell ? Array.from(cell) : [];
+  }
+  
+  // Everything in the cells overlapping a rectangle
+  getInBounds(minX, minY, maxX, maxY) {
+    const result = [];
+    for (let cellY = this.cellCoord(minY); cellY <= this.cellCoord(maxY); cellY++) {
+      for (let cellX = this.cellCoord(minX); cellX <= this.cellCoord(maxX); cellX++) {
+        const cell = this.cells.get(this.key(cellX, cellY));
+        if (cell) result.push(...cell);
+      }
+    }
+    return result;
+  }
+  
+  // Entities standing on a map tile
+  queryTile(tileX, tileY) {
+    return this.getInBounds(tileX, tileY, tileX + 0.999, tileY + 0.999).filter(entity =>
+      Math.floor(entity.x) === tileX && Math.floor(entity.y) === tileY
+    );
+  }
+  
+  // Entities within radius of a point
+  queryRadius(x, y, radius) {
+    const radiusSq = radius * radius;
+    return this.getInBounds(x - radius, y - radius, x + radius, y + radius).filter(entity => {
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      return dx*dx + dy*dy <= radiusSq;
+    });
+  }
+  
+  // Entities within radius of the segment (x1, y1) -> (x2, y2), nearest to
+  // the start first. Each result is { entity, t, distance } where t (0..1) is
+  // how far along the segment the entity's closest point lies.
+  querySegment(x1, y1, x2, y2, radius) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx*dx + dy*dy;
+    
+    const candidates = this.getInBounds(
+      Math.min(x1, x2) - radius, Math.min(y1, y2) - radius,
+      Math.max(x1, x2) + radius, Math.max(y1, y2) + radius
+    );
+    
+    const hits = [];
+    for (const entity of candidates) {
+      let t = lengthSq > 0 ? ((entity.x - x1) * dx + (entity.y - y1) * dy) / lengthSq : 0;
+      t = Math.max(0, Math.min(1, t));
+      const closestX = x1 + dx * t - entity.x;
+      const closestY = y1 + dy * t - entity.y;
+      const distance = Math.sqrt(closestX*closestX + closestY*closestY);
+      if (distance <= radius) hits.push({ entity: entity, t: t, distance: distance });
+    }
+    return hits.sort((a, b) => a.t - b.t);
+  }
+}
+
 class EntityManager {
   constructor() {
     this.entities = {};
     this.typeLookup = {}; // For quick access by type
+    this.spatial = new SpatialHash();
   }
   
   add(entity) {
     this.entities[entity.id] = entity;
     
+    // File it in the spatial hash; its position setters keep it up to date
+    this.spatial.insert(entity);
+    entity.spatialIndex = this.spatial;
+    
     // Add to type lookup
     if (!this.typeLookup[entity.type]) {
       this.typeLookup[entity.type] = [];
     }
     this.typeLookup[entity.type].push(entity.id);
     
+    gameEvents.emit("entity:spawned", { entity: entity });
     return entity.id;
   }
   
@@ -158,7 +302,11 @@ class EntityManager {
         if (index !== -1) typeArray.splice(index, 1);
       }
       
+      this.spatial.remove(entity);
+      entity.spatialIndex = null;
+      
       delete this.entities[entityId];
+      gameEvents.emit("entity:removed", { entity: entity });
       return true;
     }
     return false;
@@ -177,18 +325,24 @@ class EntityManager {
     return Object.values(this.entities);
   }
   
+  // ==================== POSITION QUERIES ====================
+  // All backed by the spatial hash
   getNearby(x, y, radius) {
-    const result = [];
-    for (const id in this.entities) {
-      const entity = this.entities[id];
-      const dx = entity.x - x;
-      const dy = entity.y - y;
-      const distance = Math.sqrt(dx*dx + dy*dy);
-      if (distance <= radius) {
-        result.push(entity);
-      }
-    }
-    return result;
+    return this.spatial.queryRadius(x, y, radius);
+  }
+  
+  getAtTile(tileX, tileY) {
+    return this.spatial.queryTile(tileX, tileY);
+  }
+  
+  getInCell(cellX, cellY) {
+    return this.spatial.getInCell(cellX, cellY);
+  }
+  
+  // Entities within radius of a segment, nearest to the start first
+  // (see SpatialHash.querySegment)
+  getAlongSegment(x1, y1, x2, y2, radius) {
+    return this.spatial.querySegment(x1, y1, x2, y2, radius);
   }
   
   update(dt) {
@@ -230,5 +384,6 @@ class EntityManager {
 // Export classes globally
 window.Entity = Entity;
 window.EntityManager = EntityManager;
+window.SpatialHash = SpatialHash;
 
 console.log("Entity system loaded successfully!");
\ No newline at end of file
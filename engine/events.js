@@ -0,0 +1,123 @@
+// events.js - Gameplay event bus for Might of the Beholder
+// Modules announce what happened (an entity spawned, the party moved, a door
+// opened...) and anything interested subscribes, instead of modules wrapping
+// each other's functions. Every event type is declared in GAME_EVENTS along
+// with the payload fields it carries.
+
+// ==================== EVENT TYPES ====================
+// Event type -> payload fields every emit must provide
+const GAME_EVENTS = {
+  // Entities (EntityManager, monsters)
+  "entity:spawned": ["entity"],
+  "entity:removed": ["entity"],
+  "entity:damaged": ["entity", "amount"],
+  "entity:died": ["entity", "x", "y", "loot"],
+
+  // Entity about to draw itself. Call preventDefault() to draw it yourself.
+  "entity:render": ["entity", "ctx", "player", "screenW", "screenH", "fov", "castRay"],
+
+  // hitType is "entity", "wall", "party" or "projectile"; target may be null.
+  // x/y is where it hit; pierced is true when the projectile carries on.
+  "projectile:hit": ["projectile", "hitType", "target", "x", "y"],
+
+  // The party arrives on a tile / starts facing a new way
+  "party:moved": ["x", "y", "fromX", "fromY"],
+  "party:turned": ["direction", "fromDirection"],
+
+  // Mechanisms
+  "door:opened": ["door", "x", "y"],
+  "door:closed": ["door", "x", "y"],
+
+  // Every engine component is loaded and initialized (see engine.js)
+  "engine:ready": [],
+
+  "level:loaded": ["level", "worldMap"],
+  "save:loaded": ["data"],
+
+  // A character is about to cast (before any checks)
+  "spell:casting": ["charIndex", "spellId"],
+
+  // Simulation hooks: before each fixed step (tick is the number of steps run
+  // so far), after each game update step and after the minimap's entities
+  "game:stepping": ["tick"],
+  "game:updated": ["dt"],
+  "minimap:drawn": ["ctx", "tileSize"]
+};
+
+// ==================== EVENT BUS ====================
+class EventBus {
+  constructor(types) {
+    this.types = types;
+    this.listeners = {};
+  }
+
+  checkType(type) {
+    if (!this.types[type]) {
+      throw new Error(`Unknown event type "${type}"`);
+    }
+  }
+
+  // Subscribe to an event type. Returns a function that unsubscribes again.
+  on(type, listener) {
+    this.checkType(type);
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(listener);
+    return () => this.off(type, listener);
+  }
+
+  // Subscribe for the next event of this type only
+  once(type, listener) {
+    const off = this.on(type, event => {
+      off();
+      listener(event);
+    });
+    return off;
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners[type];
+    if (!listeners) return;
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+  }
+
+  // Tell every listener. A listener that throws doesn't stop the others.
+  // Returns the event so the emitter can check defaultPrevented.
+  emit(type, payload = {}) {
+    this.checkType(type);
+
+    for (const field of this.types[type]) {
+      if (!(field in payload)) {
+        console.warn(`"${type}" event is missing "${field}"`);
+      }
+    }
+
+    const event = {
+      ...payload,
+      type: type,
+      defaultPrevented: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      }
+    };
+
+    for (const listener of (this.listeners[type] || []).slice()) {
+      try {
+        listener(event);
+      } catch (e) {
+        console.error(`Error in "${type}" listener:`, e);
+      }
+    }
+    return event;
+  }
+}
+
+// Shared bus for the whole game
+const gameEvents = new EventBus(GAME_EVENTS);
+
+// Make functions globally available
+window.GAME_EVENTS = GAME_EVENTS;
+window.EventBus = EventBus;
+window.gameEvents = gameEvents;
+
+console.log("Event system loaded successfully!");
@@ -0,0 +1,256 @@
+// gameloop.js - Fixed-timestep simulation clock for Might of the Beholder
+// The simulation always advances in 60 Hz steps no matter how fast the display
+// refreshes. Rendering happens once per animation frame and interpolates the
+// player and entities between the last two simulation steps.
+
+// ==================== CONSTANTS ====================
+// Length of one simulation step (ms)
+const SIM_STEP_MS = 1000 / 60;
+
+// Never run more than this many steps in one frame. After a long stall (tab in
+// the background, debugger pause) the leftover time is dropped instead of
+// fast-forwarding the world.
+const SIM_MAX_STEPS_PER_FRAME = 5;
+
+// ==================== SIMULATION LOOP ====================
+// The clock itself has no browser dependencies, so it can be required from
+// Node for testing. The game's shared instance is set up further down.
+class SimulationLoop {
+  constructor(options = {}) {
+    this.step = options.step || SIM_STEP_MS;
+    this.maxStepsPerFrame = options.maxStepsPerFrame || SIM_MAX_STEPS_PER_FRAME;
+
+    // Called before each fixed step with the number of steps run so far,
+    // then once per step with the step length in ms
+    this.onBeforeStep = options.onBeforeStep || null;
+    this.onStep = options.onStep || null;
+
+    // Simulation time in ms; gameplay timers read this instead of performance.now()
+    this.time = 0;
+    this.stepCount = 0;
+
+    this.accumulator = 0;
+    this.lastFrameTime = null;
+    this.paused = false;
+  }
+
+  // Feed one animation frame. Runs as many fixed steps as the elapsed time
+  // allows and returns the interpolation factor (0..1) for rendering.
+  advance(frameTime) {
+    if (this.lastFrameTime === null) {
+      this.lastFrameTime = frameTime;
+    }
+    const elapsed = frameTime - this.lastFrameTime;
+    this.lastFrameTime = frameTime;
+
+    if (this.paused) return 1;
+
+    this.accumulator += Math.max(0, elapsed);
+
+    let steps = 0;
+    while (this.accumulator >= this.step && steps < this.maxStepsPerFrame) {
+      this.runStep();
+      this.accumulator -= this.step;
+      steps++;
+    }
+
+    // Drop whatever we couldn't catch up on
+    if (steps === this.maxStepsPerFrame && this.accumulator >= this.step) {
+      this.accumulator = 0;
+    }
+
+    return this.accumulator / this.step;
+  }
+
+  // Run a single fixed step
+  runStep() {
+    if (this.onBeforeStep) this.onBeforeStep(this.stepCount);
+    this.time += this.step;
+    this.stepCount++;
+    if (this.onStep) this.onStep(this.step);
+  }
+
+  // Run n steps right away, ignoring the wall clock and the pause flag
+  stepMany(n) {
+    for (let i = 0; i < n; i++) {
+      this.runStep();
+    }
+    this.accumulator = 0;
+    return this.time;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  // Resume without replaying the time spent paused
+  resume() {
+    this.paused = false;
+    this.accumulator = 0;
+    this.lastFrameTime = null;
+  }
+}
+
+// ==================== INTERPOLATION ====================
+// Remember where everything was before a step so frames can be drawn between steps
+function snapshotInterpolationState() {
+  if (window.player) {
+    player.prevX = player.x;
+    player.prevY = player.y;
+    player.prevAngle = player.angle;
+  }
+
+  if (window.entityManager) {
+    for (const entity of window.entityManager.getAllEntities()) {
+      entity.prevX = entity.x;
+      entity.prevY = entity.y;
+    }
+  }
+}
+
+// Positions held back while an interpolated frame is being drawn
+let interpolationSaved = [];
+
+// Move the player and entities to their in-between positions for rendering.
+// Always pair with endInterpolatedRender() to put the real positions back.
+function beginInterpolatedRender(alpha) {
+  interpolationSaved = [];
+
+  const targets = [];
+  if (window.player) targets.push(player);
+  if (window.entityManager) targets.push(...window.entityManager.getAllEntities());
+
+  for (const target of targets) {
+    if (target.prevX === undefined) continue;
+
+    interpolationSaved.push({ target: target, x: target.x, y: target.y, angle: target.angle });
+    setRenderPosition(target,
+      target.prevX + (target.x - target.prevX) * alpha,
+      target.prevY + (target.y - target.prevY) * alpha);
+
+    // Turn the short way: a finished turn snaps back across the -pi/pi seam
+    if (target === player && target.prevAngle !== undefined) {
+      let delta = target.angle - target.prevAngle;
+      delta -= 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+      target.angle = target.prevAngle + delta * alpha;
+    }
+  }
+}
+
+function endInterpolatedRender() {
+  for (const saved of interpolationSaved) {
+    setRenderPosition(saved.target, saved.x, saved.y);
+    if (saved.target === player) saved.target.angle = saved.angle;
+  }
+  interpolationSaved = [];
+}
+
+// Entities are moved through their backing fields so drawing never touches
+// the spatial hash; re-inserting them would reorder its cells depending on the
+// frame rate, and with them the order of getNearby/getAtTile results
+function setRenderPosition(target, x, y) {
+  if (window.Entity && target instanceof Entity) {
+    target._x = x;
+    target._y = y;
+  } else {
+    target.x = x;
+    target.y = y;
+  }
+}
+
+// ==================== GLOBAL LOOP ====================
+// One simulation step: party animations, game entities and lighting
+function updateSimulation(dt) {
+  updatePlayerAnimations(dt);
+
+  if (window.updateGame) {
+    window.updateGame(dt);
+  }
+  gameEvents.emit("game:updated", { dt: dt });
+
+  // The only place lights advance; the lighting modules listen for
+  // game:updated just to move the torch with the party
+  if (window.lightingManager && window.lightingManager.update) {
+    window.lightingManager.update(dt);
+  }
+}
+
+// Announce the step and remember positions for interpolation before it runs
+function beforeSimulationStep(tick) {
+  gameEvents.emit("game:stepping", { tick: tick });
+  snapshotInterpolationState();
+}
+
+const simulationLoop = new SimulationLoop({ onBeforeStep: beforeSimulationStep, onStep: updateSimulation });
+
+// Current simulation time in ms
+function simulationTime() {
+  return simulationLoop.time;
+}
+
+// Headless entry point for tests: run n fixed steps without rendering.
+// Returns the simulation time afterwards.
+function stepSimulation(n = 1) {
+  return simulationLoop.stepMany(n);
+}
+
+function pauseGame() {
+  if (simulationLoop.paused) return;
+  simulationLoop.pause();
+  if (window.log) window.log("Game paused.");
+}
+
+function resumeGame() {
+  if (!simulationLoop.paused) return;
+  simulationLoop.resume();
+  if (window.log) window.log("Game resumed.");
+}
+
+function togglePause() {
+  if (simulationLoop.paused) {
+    resumeGame();
+  } else {
+    pauseGame();
+  }
+  return simulationLoop.paused;
+}
+
+function isGamePaused() {
+  return simulationLoop.paused;
+}
+
+// Pause while the tab is hidden, and only auto-resume what we auto-paused
+let pausedByVisibility = false;
+if (typeof document !== 'undefined') {
+  document.addEventListener("visibilitychange", function() {
+    if (document.hidden && !simulationLoop.paused) {
+      pausedByVisibility = true;
+      pauseGame();
+    } else if (!document.hidden && pausedByVisibility) {
+      pausedByVisibility = false;
+      resumeGame();
+    }
+  });
+}
+
+// ==================== EXPORT ====================
+// Node (tests, tools)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SimulationLoop, SIM_STEP_MS, SIM_MAX_STEPS_PER_FRAME };
+}
+
+// Browser: make functions globally available
+if (typeof window !== 'undefined') {
+  window.SimulationLoop = SimulationLoop;
+  window.simulationLoop = simulationLoop;
+  window.simulationTime = simulationTime;
+  window.stepSimulation = stepSimulation;
+  window.pauseGame = pauseGame;
+  window.resumeGame = resumeGame;
+  window.togglePause = togglePause;
+  window.isGamePaused = isGamePaused;
+  window.beginInterpolatedRender = beginInterpolatedRender;
+  window.endInterpolatedRender = endInterpolatedRender;
+
+  console.log("Game loop loaded successfully!");
+}
@@ -0,0 +1,173 @@
+// gamepad.js - Gamepad support for Might of the Beholder
+// The game loop polls the Gamepad API once per frame. Buttons and stick
+// directions become inputs named "pad:a", "pad:up", "pad:lstickleft"... that
+// are bound to actions exactly like keys (see input.js), so they can be
+// rebound in the key bindings panel. Held movement repeats as soon as the
+// party's step or turn is over. Controllers can be plugged in at any time.
+
+// ==================== CONSTANTS ====================
+// Standard mapping: button index -> [input name, label]
+const GAMEPAD_BUTTONS = [
+  ["pad:a", "Pad A"],
+  ["pad:b", "Pad B"],
+  ["pad:x", "Pad X"],
+  ["pad:y", "Pad Y"],
+  ["pad:lb", "Pad LB"],
+  ["pad:rb", "Pad RB"],
+  ["pad:lt", "Pad LT"],
+  ["pad:rt", "Pad RT"],
+  ["pad:back", "Pad Back"],
+  ["pad:start", "Pad Start"],
+  ["pad:lstick", "Left stick press"],
+  ["pad:rstick", "Right stick press"],
+  ["pad:up", "D-pad up"],
+  ["pad:down", "D-pad down"],
+  ["pad:left", "D-pad left"],
+  ["pad:right", "D-pad right"],
+  ["pad:home", "Pad Home"]
+];
+
+// Sticks; each gives four inputs, e.g. "pad:lstickup"
+const GAMEPAD_STICKS = [
+  { name: "pad:lstick", label: "Left stick", xAxis: 0, yAxis: 1 },
+  { name: "pad:rstick", label: "Right stick", xAxis: 2, yAxis: 3 }
+];
+
+// Stick movement inside this radius is ignored (worn sticks drift)
+const GAMEPAD_DEAD_ZONE = 0.25;
+
+// How far past the dead zone (0..1) a stick must go to count as pushed
+const GAMEPAD_STICK_THRESHOLD = 0.5;
+
+// Analog buttons (triggers) count as pressed above this value
+const GAMEPAD_BUTTON_THRESHOLD = 0.5;
+
+// ==================== INPUTS ====================
+function getGamepadInputLabel(input) {
+  const button = GAMEPAD_BUTTONS.find(entry => entry[0] === input);
+  if (button) return button[1];
+
+  const stick = GAMEPAD_STICKS.find(entry => input.startsWith(entry.name));
+  if (stick) return `${stick.label} ${input.slice(stick.name.length)}`;
+  return input;
+}
+
+// Which way a stick is pushed: "up", "down", "left", "right" or null.
+// Grid moves only, so the stronger axis wins.
+function readStickDirection(x, y) {
+  const magnitude = Math.sqrt(x*x + y*y);
+  if (magnitude <= GAMEPAD_DEAD_ZONE) return null;
+
+  // Rescale so the edge of the dead zone is 0 and full tilt is 1
+  const strength = Math.min(1, (magnitude - GAMEPAD_DEAD_ZONE) / (1 - GAMEPAD_DEAD_ZONE));
+  if (strength < GAMEPAD_STICK_THRESHOLD) return null;
+
+  if (Math.abs(x) > Math.abs(y)) return x > 0 ? "right" : "left";
+  return y > 0 ? "down" : "up";
+}
+
+// Names of every input held on a controller right now
+function readGamepadInputs(gamepad) {
+  const pressed = new Set();
+
+  gamepad.buttons.forEach((button, index) => {
+    const entry = GAMEPAD_BUTTONS[index];
+    const value = typeof button === "object" ? button.value : button;
+    if (entry && value > GAMEPAD_BUTTON_THRESHOLD) pressed.add(entry[0]);
+  });
+
+  for (const stick of GAMEPAD_STICKS) {
+    const direction = readStickDirection(gamepad.axes[stick.xAxis] || 0, gamepad.axes[stick.yAxis] || 0);
+    if (direction) pressed.add(stick.name + direction);
+  }
+  return pressed;
+}
+
+// ==================== POLLING ====================
+// Per controller (by gamepad index): held input -> { actionId, nextRepeat }
+const gamepadStates = {};
+
+// How often a held input repeats its action: movement at the party's step
+// (or turn) duration, everything else only once per press
+function getGamepadRepeatInterval(actionId) {
+  if (!actionId || !window.player || INPUT_ACTIONS[actionId].group !== "movement") return null;
+  if (actionId === "turnLeft" || actionId === "turnRight") return player.turnDuration;
+  return player.moveDuration;
+}
+
+// Read every connected controller; called by the game loop each frame
+function pollGamepads(time) {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) return;
+
+  for (const gamepad of navigator.getGamepads()) {
+    if (!gamepad || !gamepad.connected) continue;
+
+    if (!gamepadStates[gamepad.index]) gamepadStates[gamepad.index] = {};
+    const held = gamepadStates[gamepad.index];
+    const pressed = readGamepadInputs(gamepad);
+
+    for (const input in held) {
+      if (!pressed.has(input)) delete held[input];
+    }
+
+    for (const input of pressed) {
+      if (!held[input]) {
+        held[input] = pressGamepadInput(input, time);
+      } else {
+        repeatGamepadInput(held[input], time);
+      }
+    }
+  }
+}
+
+// A new press: bind it if the bindings panel is waiting, otherwise run its action
+function pressGamepadInput(input, time) {
+  if (isCapturingKey()) {
+    captureInput(input);
+    return { actionId: null, nextRepeat: null };
+  }
+
+  const actionId = getActionForKey(input);
+  if (actionId) runInputAction(actionId);
+
+  const interval = getGamepadRepeatInterval(actionId);
+  return { actionId: actionId, nextRepeat: interval !== null ? time + interval : null };
+}
+
+// Held movement repeats once the step is due. A step that is still playing
+// would ignore the command, so wait for it rather than lose the repeat.
+function repeatGamepadInput(state, time) {
+  if (state.nextRepeat === null || time < state.nextRepeat) return;
+  if (player.isMoving || player.isTurning) return;
+
+  runInputAction(state.actionId);
+  state.nextRepeat = time + getGamepadRepeatInterval(state.actionId);
+}
+
+// ==================== HOT-PLUG ====================
+window.addEventListener("gamepadconnected", function(e) {
+  gamepadStates[e.gamepad.index] = {};
+  logGamepad(`Gamepad connected: ${e.gamepad.id}`);
+  if (e.gamepad.mapping !== "standard") {
+    console.warn(`Gamepad "${e.gamepad.id}" has no standard mapping; buttons may be mixed up`);
+  }
+});
+
+window.addEventListener("gamepaddisconnected", function(e) {
+  // Forget held inputs so nothing repeats if it comes back
+  delete gamepadStates[e.gamepad.index];
+  logGamepad(`Gamepad disconnected: ${e.gamepad.id}`);
+});
+
+function logGamepad(message) {
+  console.log(message);
+  if (window.log) window.log(message);
+}
+
+// Make functions globally available
+window.GAMEPAD_BUTTONS = GAMEPAD_BUTTONS;
+window.GAMEPAD_STICKS = GAMEPAD_STICKS;
+window.getGamepadInputLabel = getGamepadInputLabel;
+window.pollGamepads = pollGamepads;
+
+console.log("Gamepad system loaded successfully!");
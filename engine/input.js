@@ -0,0 +1,616 @@
+// input.js - Rebindable key mapping for Might of the Beholder
+// Keys map to named actions (move forward, attack with character 2, quicksave...)
+// instead of being hardcoded in the keyboard handler. Bindings can be changed
+// in the key bindings panel (K), are checked for conflicts and are kept in
+// localStorage. Debug actions only run in dev mode: add ?dev=1 to the page URL
+// or call setDevMode(true) from the console.
+//
+// Keys are named after the physical key for letters and digits ("w", "1"),
+// after e.key for everything else ("f5", "space", "escape"), with modifiers in
+// front: "shift+f7", "ctrl+s". Gamepad buttons and stick directions are bound
+// the same way under "pad:" names ("pad:a", "pad:lstickup", see gamepad.js).
+
+// ==================== CONSTANTS ====================
+// localStorage keys for the bindings and the dev flag
+const KEY_BINDINGS_STORAGE_KEY = "beholder.keys";
+const DEV_MODE_STORAGE_KEY = "beholder.dev";
+
+// Groups in the order the bindings panel shows them
+const INPUT_ACTION_GROUPS = {
+  movement: "Movement",
+  party: "Party",
+  game: "Game",
+  debug: "Debug"
+};
+
+// Pressing only one of these never triggers anything
+const MODIFIER_KEYS = ["shift", "control", "alt", "meta"];
+
+// Labels for keys whose name isn't what's printed on them
+const KEY_LABELS = {
+  space: "Space",
+  escape: "Esc",
+  arrowup: "Up",
+  arrowdown: "Down",
+  arrowleft: "Left",
+  arrowright: "Right"
+};
+
+// ==================== ACTIONS ====================
+// Action id -> label, group, default keys and what it does.
+// whilePaused: also works while the game is paused
+// dev: debug action, only runs in dev mode
+const INPUT_ACTIONS = {
+  moveForward: {
+    label: "Move forward", group: "movement", keys: ["w", "pad:up", "pad:lstickup"],
+    run: () => runPlayerCommand("moveForward")
+  },
+  moveBackward: {
+    label: "Move backward", group: "movement", keys: ["s", "pad:down", "pad:lstickdown"],
+    run: () => runPlayerCommand("moveBackward")
+  },
+  strafeLeft: {
+    label: "Strafe left", group: "movement", keys: ["a", "pad:lstickleft", "pad:lt"],
+    run: () => runPlayerCommand("strafeLeft")
+  },
+  strafeRight: {
+    label: "Strafe right", group: "movement", keys: ["d", "pad:lstickright", "pad:rt"],
+    run: () => runPlayerCommand("strafeRight")
+  },
+  turnLeft: {
+    label: "Turn left", group: "movement", keys: ["q", "pad:left", "pad:rstickleft"],
+    run: () => runPlayerCommand("turnLeft")
+  },
+  turnRight: {
+    label: "Turn right", group: "movement", keys: ["e", "pad:right", "pad:rstickright"],
+    run: () => runPlayerCommand("turnRight")
+  },
+
+  interact: { label: "Use / open", group: "party", keys: ["space", "pad:a"], run: () => runPlayerCommand("interact") },
+  pickUpItems: { label: "Pick up items", group: "party", keys: ["g", "pad:b"], run: () => runPlayerCommand("pickUpItems") },
+  inventory: {
+    label: "Inventory", group: "party", keys: ["i", "pad:back"],
+    run: () => { if (window.toggleInventoryPanel) window.toggleInventoryPanel(); }
+  },
+
+  // The selected character is the one the attack and spell buttons below use
+  previousCharacter: {
+    label: "Select previous character", group: "party", keys: ["[", "pad:lb"], whilePaused: true,
+    run: () => selectCharacter(-1)
+  },
+  nextCharacter: {
+    label: "Select next character", group: "party", keys: ["]", "pad:rb"], whilePaused: true,
+    run: () => selectCharacter(1)
+  },
+  attackSelected: {
+    label: "Selected character attack", group: "party", keys: ["x", "pad:x"],
+    run: () => { if (window.party) pressAttackButton(party.selectedIndex); }
+  },
+  castSelected: {
+    label: "Selected character spells", group: "party", keys: ["c", "pad:y"],
+    run: () => { if (window.party) pressSpellButton(party.selectedIndex); }
+  },
+
+  quickSave: {
+    label: "Quicksave", group: "game", keys: ["f5"], whilePaused: true,
+    run: () => { if (window.quickSave) window.quickSave(); }
+  },
+  quickLoad: {
+    label: "Quickload", group: "game", keys: ["f9"], whilePaused: true,
+    run: () => { if (window.quickLoad) window.quickLoad(); }
+  },
+  saveMenu: {
+    label: "Save / load menu", group: "game", keys: ["f2"], whilePaused: true,
+    run: () => { if (window.toggleSaveMenu) window.toggleSaveMenu(); }
+  },
+  pause: {
+    label: "Pause / close menu", group: "game", keys: ["escape", "pause", "pad:start"], whilePaused: true,
+    run: pauseOrCloseMenu
+  },
+  toggleRecording: {
+    label: "Start / stop recording", group: "game", keys: ["f6"], whilePaused: true,
+    run: () => toggleRecording()
+  },
+  playRecording: {
+    label: "Play last recording", group: "game", keys: ["f7"], whilePaused: true,
+    run: () => playLastRecording()
+  },
+  importRecording: {
+    label: "Import and play recording", group: "game", keys: ["shift+f7"], whilePaused: true,
+    run: () => importReplayFile()
+  },
+  exportRecording: {
+    label: "Export recording", group: "game", keys: ["f8"], whilePaused: true,
+    run: () => exportReplayFile()
+  },
+  keyBindings: {
+    label: "Key bindings", group: "game", keys: ["k"], whilePaused: true,
+    run: () => toggleKeyBindingsPanel()
+  },
+
+  toggleRenderer: {
+    label: "Switch renderer", group: "debug", keys: ["r"], dev: true,
+    run: () => testToggleRenderer()
+  },
+  toggleQuality: {
+    label: "Renderer quality", group: "debug", keys: ["t"], dev: true,
+    run: () => testToggleQuality()
+  },
+  toggleLighting: {
+    label: "Enhanced lighting", group: "debug", keys: ["l"], dev: true,
+    run: () => toggleEnhancedLighting()
+  },
+  toggleDebug: {
+    label: "Debug overlay", group: "debug", keys: ["shift+d"], dev: true,
+    run: () => {
+      if (window.toggleDebugMode) {
+        window.toggleDebugMode();
+        updateControlPanelButtons();
+      } else {
+        toggleLightingDebug();
+      }
+    }
+  },
+  toggleFPS: {
+    label: "FPS counter", group: "debug", keys: ["f"], dev: true,
+    run: () => { if (window.toggleFPSCounter) window.toggleFPSCounter(); }
+  },
+  diagnostics: {
+    label: "Renderer diagnostics", group: "debug", keys: ["p"], dev: true,
+    run: () => {
+      if (window.diagnoseRendererIssues) {
+        window.diagnoseRendererIssues();
+        log("Renderer diagnostic printed to console");
+      }
+    }
+  },
+  webglDiagnostics: {
+    label: "WebGL diagnostics", group: "debug", keys: ["v"], dev: true,
+    run: () => { if (window.diagnoseWebGLStatus) window.diagnoseWebGLStatus(); }
+  }
+};
+
+// Melee and spells for each character: 1-4 attack, Shift+1-4 open the spell list
+for (let i = 0; i < 4; i++) {
+  INPUT_ACTIONS[`attack${i + 1}`] = {
+    label: `Character ${i + 1} attack`, group: "party", keys: [String(i + 1)],
+    run: () => pressAttackButton(i)
+  };
+  INPUT_ACTIONS[`cast${i + 1}`] = {
+    label: `Character ${i + 1} spells`, group: "party", keys: [`shift+${i + 1}`],
+    run: () => pressSpellButton(i)
+  };
+}
+
+// Press a character's buttons, so the cooldown overlay runs too
+function pressAttackButton(charIndex) {
+  const button = document.getElementById(`attack${charIndex + 1}`);
+  if (button) {
+    button.click();
+  } else {
+    runPlayerCommand("attack", charIndex);
+  }
+}
+
+function pressSpellButton(charIndex) {
+  const button = document.getElementById(`char${charIndex + 1}Spell`);
+  if (button) button.click();
+}
+
+function selectCharacter(step) {
+  if (!window.party) return;
+  const character = party.cycleSelected(step);
+  if (character) log(`${character.name} is ready.`);
+}
+
+// Escape closes whatever menu is open before it pauses anything
+function pauseOrCloseMenu() {
+  if (isKeyBindingsPanelOpen()) {
+    hideKeyBindingsPanel();
+  } else if (window.isSaveMenuOpen && window.isSaveMenuOpen()) {
+    window.toggleSaveMenu();
+  } else if (typeof window.togglePause === "function") {
+    window.togglePause();
+  }
+}
+
+// ==================== DEV MODE ====================
+let devMode = readDevMode();
+
+function readDevMode() {
+  const param = typeof location !== "undefined" ?
+    new URLSearchParams(location.search).get("dev") : null;
+  if (param !== null) return param !== "0";
+  try {
+    return localStorage.getItem(DEV_MODE_STORAGE_KEY) === "1";
+  } catch (e) {
+    return false;
+  }
+}
+
+function isDevMode() {
+  return devMode;
+}
+
+// Turn debug actions on or off (remembered for the next visit)
+function setDevMode(enabled) {
+  devMode = !!enabled;
+  try {
+    localStorage.setItem(DEV_MODE_STORAGE_KEY, devMode ? "1" : "0");
+  } catch (e) {
+    console.warn("Could not store dev mode:", e);
+  }
+  if (window.updateControlPanelButtons) updateControlPanelButtons();
+  refreshKeyBindingsPanel();
+  console.log(`Dev mode ${devMode ? "on" : "off"}`);
+}
+
+// ==================== BINDINGS ====================
+// Action id -> keys bound to it
+let keyBindings = loadKeyBindings();
+
+function getDefaultKeyBindings() {
+  const bindings = {};
+  for (const id in INPUT_ACTIONS) {
+    bindings[id] = INPUT_ACTIONS[id].keys.slice();
+  }
+  return bindings;
+}
+
+function isGamepadInput(key) {
+  return key.startsWith("pad:");
+}
+
+// Defaults with the stored bindings on top (actions added since keep theirs)
+function loadKeyBindings() {
+  const bindings = getDefaultKeyBindings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY) || "null");
+    if (saved) {
+      // Bindings stored before gamepad support keep the default gamepad buttons
+      const hasGamepad = Object.values(saved).some(keys => Array.isArray(keys) && keys.some(isGamepadInput));
+      for (const id in saved) {
+        if (!bindings[id] || !Array.isArray(saved[id])) continue;
+        bindings[id] = saved[id].concat(hasGamepad ? [] : bindings[id].filter(isGamepadInput));
+      }
+    }
+  } catch (e) {
+    console.warn("Could not read key bindings, using the defaults:", e);
+  }
+  return bindings;
+}
+
+function saveKeyBindings() {
+  try {
+    localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(keyBindings));
+  } catch (e) {
+    console.warn("Could not store key bindings:", e);
+  }
+}
+
+function getActionKeys(actionId) {
+  return keyBindings[actionId] || [];
+}
+
+// Actions (other than exceptActionId) that use a key
+function getActionsForKey(key, exceptActionId = null) {
+  return Object.keys(keyBindings).filter(id => id !== exceptActionId && keyBindings[id].includes(key));
+}
+
+// The action a key runs. With a conflict the first action listed wins;
+// debug actions are skipped outside dev mode.
+function getActionForKey(key) {
+  return getActionsForKey(key).find(id => !INPUT_ACTIONS[id].dev || devMode) || null;
+}
+
+// Keys bound to more than one action, as { key, actions }
+function findKeyConflicts() {
+  const byKey = {};
+  for (const id in keyBindings) {
+    for (const key of keyBindings[id]) {
+      if (!byKey[key]) byKey[key] = [];
+      byKey[key].push(id);
+    }
+  }
+  return Object.keys(byKey)
+    .filter(key => byKey[key].length > 1)
+    .map(key => ({ key: key, actions: byKey[key] }));
+}
+
+// Bind a key to an action. If other actions already use it nothing changes
+// and their ids are returned, unless replace is set: then they lose the key.
+// Returns the actions it was taken from (or would be).
+function bindKey(actionId, key, replace = false) {
+  if (!INPUT_ACTIONS[actionId]) throw new Error(`Unknown input action "${actionId}"`);
+
+  const conflicts = getActionsForKey(key, actionId);
+  if (conflicts.length > 0 && !replace) return conflicts;
+
+  for (const id of conflicts) {
+    keyBindings[id] = keyBindings[id].filter(k => k !== key);
+  }
+  if (!keyBindings[actionId].includes(key)) keyBindings[actionId].push(key);
+  saveKeyBindings();
+  return conflicts;
+}
+
+function unbindKey(actionId, key) {
+  if (!keyBindings[actionId]) return;
+  keyBindings[actionId] = keyBindings[actionId].filter(k => k !== key);
+  saveKeyBindings();
+}
+
+function resetKeyBindings() {
+  keyBindings = getDefaultKeyBindings();
+  saveKeyBindings();
+}
+
+// ==================== KEYS ====================
+// Binding name for a keydown event, e.g. "w", "space", "shift+f7"
+function keyFromEvent(e) {
+  const code = e.code || "";
+  let key;
+  if (/^Key[A-Z]$/.test(code)) {
+    key = code.slice(3).toLowerCase();
+  } else if (/^Digit\d$/.test(code)) {
+    key = code.slice(5);
+  } else if (e.key === " ") {
+    key = "space";
+  } else {
+    key = (e.key || "").toLowerCase();
+  }
+  if (MODIFIER_KEYS.includes(key)) return key;
+
+  const parts = [];
+  if (e.ctrlKey) parts.push("ctrl");
+  if (e.altKey) parts.push("alt");
+  if (e.shiftKey) parts.push("shift");
+  parts.push(key);
+  return parts.join("+");
+}
+
+// How a key is shown to the player, e.g. "Shift+F7" or "Pad A"
+function formatKey(key) {
+  if (isGamepadInput(key) && window.getGamepadInputLabel) return getGamepadInputLabel(key);
+  return key.split("+").map(part =>
+    KEY_LABELS[part] || part.charAt(0).toUpperCase() + part.slice(1)).join("+");
+}
+
+// " (R)" for button labels, or "" if the action has no key or can't run
+function getKeyHint(actionId) {
+  const action = INPUT_ACTIONS[actionId];
+  const key = getActionKeys(actionId).find(k => !isGamepadInput(k));
+  if (!action || !key || (action.dev && !devMode)) return "";
+  return ` (${formatKey(key)})`;
+}
+
+// Run an action. Returns false if it isn't allowed right now.
+function runInputAction(actionId) {
+  const action = INPUT_ACTIONS[actionId];
+  if (!action) return false;
+  if (action.dev && !devMode) return false;
+
+  // An open spell list takes the movement and use keys (see spells.js)
+  if (window.handleSpellPickerAction && handleSpellPickerAction(actionId)) return true;
+
+  // Nothing moves while the game is paused
+  if (!action.whilePaused && window.isGamePaused && window.isGamePaused()) return false;
+
+  action.run();
+  return true;
+}
+
+// ==================== BINDINGS PANEL ====================
+// Action waiting for its new key, or null
+let capturingActionId = null;
+
+// Whether opening the panel is what paused the game
+let pausedByKeyBindingsPanel = false;
+
+function createKeyBindingsPanel() {
+  if (document.getElementById("keyBindingsPanel")) return;
+
+  const panel = document.createElement("div");
+  panel.id = "keyBindingsPanel";
+  panel.style.position = "fixed";
+  panel.style.top = "50%";
+  panel.style.left = "50%";
+  panel.style.transform = "translate(-50%, -50%)";
+  panel.style.maxHeight = "80%";
+  panel.style.overflowY = "auto";
+  panel.style.backgroundColor = "rgba(0, 0, 0, 0.85)";
+  panel.style.color = "white";
+  panel.style.padding = "15px";
+  panel.style.borderRadius = "5px";
+  panel.style.fontFamily = "Arial, sans-serif";
+  panel.style.fontSize = "13px";
+  panel.style.zIndex = "1000";
+  panel.style.minWidth = "340px";
+  panel.style.display = "none";
+  document.body.appendChild(panel);
+}
+
+function createKeyBindingsButton(label, onClick) {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.style.marginLeft = "5px";
+  button.style.padding = "2px 8px";
+  button.style.backgroundColor = "#444";
+  button.style.color = "white";
+  button.style.border = "none";
+  button.style.borderRadius = "3px";
+  button.style.cursor = "pointer";
+  button.onclick = onClick;
+  return button;
+}
+
+// Rebuild the panel from the current bindings
+function refreshKeyBindingsPanel() {
+  const panel = document.getElementById("keyBindingsPanel");
+  if (!panel) return;
+  panel.innerHTML = "";
+
+  const title = document.createElement("div");
+  title.textContent = `Key Bindings${getKeyHint("keyBindings")}`;
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "5px";
+  panel.appendChild(title);
+
+  const help = document.createElement("div");
+  help.textContent = capturingActionId ?
+    `Press a key or gamepad button for "${INPUT_ACTIONS[capturingActionId].label}" (Esc cancels)` :
+    "Click a key to remove it, + to add one.";
+  help.style.color = capturingActionId ? "#FFD700" : "#AAA";
+  help.style.marginBottom = "5px";
+  panel.appendChild(help);
+
+  const conflicted = new Set(findKeyConflicts().map(conflict => conflict.key));
+
+  for (const group in INPUT_ACTION_GROUPS) {
+    if (group === "debug" && !devMode) continue;
+
+    const heading = document.createElement("div");
+    heading.textContent = INPUT_ACTION_GROUPS[group];
+    heading.style.fontWeight = "bold";
+    heading.style.marginTop = "8px";
+    heading.style.borderTop = "1px solid #444";
+    heading.style.paddingTop = "4px";
+    panel.appendChild(heading);
+
+    for (const id in INPUT_ACTIONS) {
+      if (INPUT_ACTIONS[id].group !== group) continue;
+
+      const row = document.createElement("div");
+      row.style.display = "flex";
+      row.style.alignItems = "center";
+      row.style.marginTop = "3px";
+
+      const label = document.createElement("span");
+      label.textContent = INPUT_ACTIONS[id].label;
+      label.style.flex = "1";
+      row.appendChild(label);
+
+      for (const key of getActionKeys(id)) {
+        const keyButton = createKeyBindingsButton(formatKey(key), function() {
+          unbindKey(id, key);
+          refreshKeyBindingsPanel();
+        });
+        keyButton.title = conflicted.has(key) ?
+          `Also bound to ${getActionsForKey(key, id).map(other => INPUT_ACTIONS[other].label).join(", ")}` :
+          "Click to remove";
+        if (conflicted.has(key)) keyButton.style.backgroundColor = "#A33";
+        row.appendChild(keyButton);
+      }
+
+      const addButton = createKeyBindingsButton(capturingActionId === id ? "..." : "+", function() {
+        capturingActionId = capturingActionId === id ? null : id;
+        refreshKeyBindingsPanel();
+      });
+      row.appendChild(addButton);
+
+      panel.appendChild(row);
+    }
+  }
+
+  const footer = document.createElement("div");
+  footer.style.marginTop = "10px";
+  footer.style.textAlign = "right";
+  footer.appendChild(createKeyBindingsButton("Reset to defaults", function() {
+    capturingActionId = null;
+    resetKeyBindings();
+    refreshKeyBindingsPanel();
+  }));
+  footer.appendChild(createKeyBindingsButton("Close", hideKeyBindingsPanel));
+  panel.appendChild(footer);
+}
+
+function isCapturingKey() {
+  return capturingActionId !== null;
+}
+
+// Bind the pressed key to the action waiting for one
+function captureKey(e) {
+  const key = keyFromEvent(e);
+  if (MODIFIER_KEYS.includes(key)) return;
+  e.preventDefault();
+  captureInput(key);
+}
+
+// Bind a key or gamepad input to the action waiting for one. Asks before
+// taking it away from another action.
+function captureInput(key) {
+  const actionId = capturingActionId;
+  capturingActionId = null;
+
+  if (key !== "escape") {
+    const conflicts = bindKey(actionId, key);
+    if (conflicts.length > 0) {
+      const names = conflicts.map(id => INPUT_ACTIONS[id].label).join(", ");
+      if (window.confirm(`${formatKey(key)} is already bound to ${names}. Use it for ${INPUT_ACTIONS[actionId].label} instead?`)) {
+        bindKey(actionId, key, true);
+      }
+    }
+  }
+  refreshKeyBindingsPanel();
+}
+
+function showKeyBindingsPanel() {
+  createKeyBindingsPanel();
+  refreshKeyBindingsPanel();
+  document.getElementById("keyBindingsPanel").style.display = "block";
+
+  pausedByKeyBindingsPanel = !isGamePaused();
+  pauseGame();
+}
+
+function hideKeyBindingsPanel() {
+  const panel = document.getElementById("keyBindingsPanel");
+  if (!panel) return;
+  panel.style.display = "none";
+  capturingActionId = null;
+
+  if (pausedByKeyBindingsPanel) {
+    pausedByKeyBindingsPanel = false;
+    resumeGame();
+  }
+  if (window.updateControlPanelButtons) updateControlPanelButtons();
+}
+
+function isKeyBindingsPanelOpen() {
+  const panel = document.getElementById("keyBindingsPanel");
+  return !!panel && panel.style.display !== "none";
+}
+
+function toggleKeyBindingsPanel() {
+  if (isKeyBindingsPanelOpen()) {
+    hideKeyBindingsPanel();
+  } else {
+    showKeyBindingsPanel();
+  }
+}
+
+// Stored bindings may clash with keys given to newer actions
+for (const conflict of findKeyConflicts()) {
+  console.warn(`Key ${formatKey(conflict.key)} is bound to ${conflict.actions.join(", ")}`);
+}
+
+// Make functions globally available
+window.INPUT_ACTIONS = INPUT_ACTIONS;
+window.isDevMode = isDevMode;
+window.setDevMode = setDevMode;
+window.getActionKeys = getActionKeys;
+window.getActionForKey = getActionForKey;
+window.findKeyConflicts = findKeyConflicts;
+window.bindKey = bindKey;
+window.unbindKey = unbindKey;
+window.resetKeyBindings = resetKeyBindings;
+window.keyFromEvent = keyFromEvent;
+window.formatKey = formatKey;
+window.getKeyHint = getKeyHint;
+window.runInputAction = runInputAction;
+window.isCapturingKey = isCapturingKey;
+window.captureKey = captureKey;
+window.captureInput = captureInput;
+window.toggleKeyBindingsPanel = toggleKeyBindingsPanel;
+
+console.log("Input system loaded successfully!");
@@ -144,10 +144,17 @@ function enhancedDraw3DView() {
         window.ctx.fillStyle = "rgba(0,0,0,0.4)";
         window.ctx.fillRect(x, lineTop, 1, lineH);
       }
+      // Tint doors and levers so they stand out from plain wall
+      else if (ray.tileType === 3 || ray.tileType === 5) {
+        window.ctx.fillStyle = ray.tileType === 3 ? "rgba(120,70,20,0.5)" : "rgba(150,150,40,0.4)";
+        window.ctx.fillRect(x, lineTop, 1, lineH);
+      }
     } 
     // If texture not loaded, use simple colors
     else {
       window.ctx.fillStyle = (ray.tileType === 2) ? "#444" : 
+                            (ray.tileType === 3) ? "#853" :
+                            (ray.tileType === 5) ? "#996" :
                             (ray.hitVertical ? "rgb(200,200,200)" : "rgb(255,255,255)");
       window.ctx.fillRect(x, lineTop, 1, lineH);
     }
@@ -425,33 +432,19 @@ function initLightingIntegration() {
   const origDraw3DView = window.draw3DView;
   window.draw3DView = enhancedDraw3DView;
   
-  // Override entity render method
-  if (window.Entity) {
-    // Store original render method
-    const originalRender = window.Entity.prototype.render;
-    
-    // Create enhanced render method
-    window.Entity.prototype.render = function(ctx, player, screenW, screenH, fov, castRay) {
-      // Use enhanced rendering for entity
-      enhancedRenderEntity(this, ctx, player, screenW, screenH, fov, castRay);
-    };
+  // Draw entities and projectiles with lighting (see events.js)
+  gameEvents.on("entity:render", function(event) {
+    if (event.defaultPrevented) return;
+    event.preventDefault();
     
-    console.log("Entity rendering enhanced with lighting!");
-  }
-  
-  // Override projectile render method if available
-  if (typeof window.Projectile !== 'undefined') {
-    // Store original projectile render
-    const originalProjectileRender = window.Projectile.prototype.render;
-    
-    // Create enhanced projectile render
-    window.Projectile.prototype.render = function(ctx, player, screenW, screenH, fov, castRay) {
-      // Use enhanced rendering for projectiles
-      enhancedRenderProjectile(this, ctx, player, screenW, screenH, fov, castRay);
-    };
-    
-    console.log("Projectile rendering enhanced with lighting!");
-  }
+    const args = [event.ctx, event.player, event.screenW, event.screenH, event.fov, event.castRay];
+    if (event.entity.type === "projectile") {
+      enhancedRenderProjectile(event.entity, ...args);
+    } else {
+      enhancedRenderEntity(event.entity, ...args);
+    }
+  });
+  console.log("Entity and projectile rendering enhanced with lighting!");
   
   // Create player torch
   createPlayerTorch();
@@ -459,30 +452,19 @@ function initLightingIntegration() {
   // Create ambient light
   createAmbientLight("#111122", 0.15);
   
-  // Update game loop to update lighting
-  if (window.updateGame) {
-    const originalUpdateGame = window.updateGame;
-    window.updateGame = function(dt) {
-      // Call original update
-      originalUpdateGame(dt);
-      
-      // Update player torch position
-      if (window.playerTorchId && window.lightingManager) {
-        const torch = window.lightingManager.getById(window.playerTorchId);
-        if (torch) {
-          torch.x = window.animX();
-          torch.y = window.animY();
-        }
-      }
-      
-      // Update lighting system
-      if (window.lightingManager) {
-        window.lightingManager.update(dt);
+  // Move the torch with the party after each game update; the game loop
+  // advances the lights themselves
+  gameEvents.on("game:updated", function(event) {
+    // Update player torch position
+    if (window.playerTorchId && window.lightingManager) {
+      const torch = window.lightingManager.getById(window.playerTorchId);
+      if (torch) {
+        torch.x = window.animX();
+        torch.y = window.animY();
       }
-    };
-    
-    console.log("Game loop enhanced with lighting updates!");
-  }
+    }
+  });
+  console.log("Game loop enhanced with lighting updates!");
   
   // Load textures
   loadNormalMappingTextures();
@@ -491,10 +473,5 @@ function initLightingIntegration() {
   return true;
 }
 
-// Initialize when window loads
-window.addEventListener("load", function() {
-  // Small delay to ensure other systems are loaded
-  setTimeout(function() {
-    initLightingIntegration();
-  }, 500);
-});
\ No newline at end of file
+// initLightingIntegration() is called by engine.js once every component has
+// loaded, after the lighting and normal mapping systems
\ No newline at end of file
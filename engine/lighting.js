@@ -123,7 +123,7 @@ class Light {
     if (this.flickerEnabled) {
       this.flickerSpeed = properties.flickerSpeed || 10; // Flicker speed
       this.flickerIntensity = properties.flickerIntensity || 0.2; // How much intensity varies
-      this.flickerOffset = Math.random() * 1000; // Random offset for each light
+      this.flickerOffset = rng.stream("cosmetic").float(0, 1000); // Random offset for each light
     }
     
     // Animation properties
@@ -742,17 +742,6 @@ function applyLightingTo3DView(ctx, ray, x, lineTop, lineH, texX, texY) {
   }
 }
 
-// Hook into the game loop to update lighting
-function updateLighting(dt) {
-  if (!lightingManager) return;
-  
-  // Update all lights
-  lightingManager.update(dt);
-  
-  // Update player torch position
-  updatePlayerTorch();
-}
-
 // ==================== EXPORT ENHANCED 3D RENDERING FUNCTION THAT APPLIES LIGHTING ====================
 function enhancedDraw3DView() {
   // Clear screen
@@ -1001,8 +990,9 @@ function enhancedRenderEntity(entity, ctx, player, screenW, screenH, fov, castRa
   }
 }
 
-// Initialize the lighting system
-window.addEventListener("load", function() {
+// Initialize the lighting system and hook it into rendering and the game
+// loop. Called by engine.js once every component has loaded.
+function setupLightingSystem() {
   // Make sure entity system is loaded before initializing lighting
   if (window.Entity && window.EntityManager) {
     // Initialize lighting system
@@ -1012,50 +1002,30 @@ window.addEventListener("load", function() {
     const originalDraw3DView = window.draw3DView;
     window.enhancedDraw3DView = enhancedDraw3DView;
     
-    // Override entity render method
-    if (window.Entity) {
-      // Store original render method
-      const originalRender = window.Entity.prototype.render;
-      
-      // Create enhanced render method
-      window.Entity.prototype.render = function(ctx, player, screenW, screenH, fov, castRay) {
-        // Use enhanced rendering for entity
-        enhancedRenderEntity(this, ctx, player, screenW, screenH, fov, castRay);
-      };
-    }
+    // Draw entities with lighting (see events.js)
+    gameEvents.on("entity:render", function(event) {
+      if (event.defaultPrevented || event.entity.type === "projectile") return;
+      event.preventDefault();
+      enhancedRenderEntity(event.entity, event.ctx, event.player, event.screenW, event.screenH, event.fov, event.castRay);
+    });
     
-    // Hook into the game loop to update lighting
-    const originalUpdateGame = window.updateGame;
-    if (originalUpdateGame) {
-      window.updateGame = function(dt) {
-        // Call original update function
-        originalUpdateGame(dt);
-        
-        // Update lighting
-        updateLighting(dt);
-        
-        // Apply lighting to entities
-        if (window.entityManager) {
-          applyLightingToEntities(window.entityManager);
-        }
-      };
-    }
+    // Follow the party after each game update (the game loop itself
+    // advances the lights once per step)
+    gameEvents.on("game:updated", function(event) {
+      if (lightingManager) updatePlayerTorch();
+      
+      // Apply lighting to entities
+      if (window.entityManager) {
+        applyLightingToEntities(window.entityManager);
+      }
+    });
     
-    // Hook into the debug rendering
-    const originalDrawMiniMap = window.drawMiniMap;
-    if (originalDrawMiniMap) {
-      window.drawMiniMap = function() {
-        // Call original minimap function
-        originalDrawMiniMap();
-        
-        // Add lighting debug information to minimap
-        if (lightingManager) {
-          const miniCanvas = document.getElementById("miniMapCanvas");
-          const miniCtx = miniCanvas.getContext("2d");
-          lightingManager.renderDebugMinimap(miniCtx, 8);
-        }
-      };
-    }
+    // Add lighting debug information to the minimap
+    gameEvents.on("minimap:drawn", function(event) {
+      if (lightingManager) {
+        lightingManager.renderDebugMinimap(event.ctx, event.tileSize);
+      }
+    });
     
     console.log("Lighting system hooks installed successfully!");
   } else {
@@ -1070,7 +1040,7 @@ window.addEventListener("load", function() {
       }
     }, 100);
   }
-});
+}
 
 // ==================== INITIALIZATION ENHANCEMENT ====================
 // Fix the lighting to be OFF by default
@@ -1095,9 +1065,6 @@ function fixLightingSystem() {
   
   // Make sure debug rendering is more visible
   if (window.lightingManager) {
-    // Override the debug rendering with our enhanced version
-    window.lightingManager.renderDebugMinimap = renderDebugMinimap;
-    
     // Make sure player torch has appropriate properties
     if (window.playerTorchLightId) {
       const torch = window.lightingManager.getById(window.playerTorchLightId);
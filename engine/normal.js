@@ -474,7 +474,4 @@ function initNormalMapping() {
   return normalMapping;
 }
 
-// Initialize on window load
-window.addEventListener("load", function() {
-  initNormalMapping();
-});
\ No newline at end of file
+// initNormalMapping() is called by engine.js once every component has loaded
\ No newline at end of file
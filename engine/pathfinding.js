@@ -0,0 +1,258 @@
+// pathfinding.js - Grid pathfinding for Might of the Beholder
+// A* for one-off routes (patrols) and a cached flow field for everyone chasing
+// the party. Movement is 4-way, matching how the party moves.
+
+// ==================== CONSTANTS ====================
+// 4-way neighbours: N, E, S, W
+const PATH_NEIGHBOURS = [
+  [0, -1],
+  [1, 0],
+  [0, 1],
+  [-1, 0]
+];
+
+// Give up on A* searches that expand more nodes than this
+const PATH_MAX_NODES = 4000;
+
+// ==================== PRIORITY QUEUE ====================
+// Minimal binary heap keyed on node.f
+class PathQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  push(node) {
+    const items = this.items;
+    items.push(node);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].f <= items[i].f) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+        if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// ==================== FLOW FIELD ====================
+// Distance-to-goal for every reachable tile, built with a breadth-first search
+// from the goal. Any tile can then step downhill towards the goal.
+class FlowField {
+  constructor(grid, goalX, goalY, isTileBlocked) {
+    this.grid = grid;
+    this.goalX = goalX;
+    this.goalY = goalY;
+    this.height = grid.length;
+    this.width = grid[0].length;
+    this.distances = new Array(this.width * this.height).fill(Infinity);
+
+    this.build(isTileBlocked);
+  }
+
+  build(isTileBlocked) {
+    const queue = [[this.goalX, this.goalY]];
+    this.distances[this.goalY * this.width + this.goalX] = 0;
+
+    for (let head = 0; head < queue.length; head++) {
+      const [x, y] = queue[head];
+      const dist = this.distances[y * this.width + x];
+
+      for (const [dx, dy] of PATH_NEIGHBOURS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= this.width || ny >= this.height) continue;
+        if (this.distances[ny * this.width + nx] !== Infinity) continue;
+        if (isTileBlocked(this.grid, nx, ny)) continue;
+
+        this.distances[ny * this.width + nx] = dist + 1;
+        queue.push([nx, ny]);
+      }
+    }
+  }
+
+  getDistance(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return Infinity;
+    return this.distances[y * this.width + x];
+  }
+
+  // Best neighbouring tile to step to from (x, y), or null if stuck/arrived.
+  // isOccupied lets callers route around tiles that are temporarily taken.
+  nextStep(x, y, isOccupied) {
+    let best = null;
+    let bestDist = this.getDistance(x, y);
+
+    for (const [dx, dy] of PATH_NEIGHBOURS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      const dist = this.getDistance(nx, ny);
+      if (dist >= bestDist) continue;
+      if (isOccupied && isOccupied(nx, ny)) continue;
+
+      best = { x: nx, y: ny };
+      bestDist = dist;
+    }
+    return best;
+  }
+
+  // Follow the field downhill to build a tile path (excluding the start tile)
+  pathFrom(x, y, maxSteps = 64) {
+    const path = [];
+    let current = { x: x, y: y };
+    for (let i = 0; i < maxSteps; i++) {
+      const next = this.nextStep(current.x, current.y);
+      if (!next) break;
+      path.push(next);
+      current = next;
+    }
+    return path;
+  }
+}
+
+// ==================== PATHFINDER ====================
+class Pathfinder {
+  constructor(options = {}) {
+    // Static blockers: walls, closed doors. Anything that isn't floor by default.
+    // Closed doors, levers and secret walls block; open doors don't
+    this.isTileBlocked = options.isTileBlocked || ((grid, x, y) =>
+      window.isTileWalkable ? !window.isTileWalkable(x, y, grid) : grid[y][x] !== 0);
+
+    // Flow fields are cached per goal tile and thrown away when the map changes
+    this.flowFields = {};
+    this.cachedGrid = null;
+  }
+
+  // Forget cached flow fields (call after doors open/close or a level loads)
+  invalidate() {
+    this.flowFields = {};
+  }
+
+  // A* from one tile to another. Returns a list of {x, y} tiles excluding the
+  // start and including the goal, or null if there is no route.
+  // options.isOccupied(x, y) marks extra blocked tiles such as other monsters;
+  // the goal tile itself is never treated as occupied.
+  findPath(grid, startX, startY, goalX, goalY, options = {}) {
+    if (!grid || !grid.length) return null;
+    const width = grid[0].length;
+    const height = grid.length;
+    if (goalX < 0 || goalY < 0 || goalX >= width || goalY >= height) return null;
+    if (this.isTileBlocked(grid, goalX, goalY)) return null;
+    if (startX === goalX && startY === goalY) return [];
+
+    const isOccupied = options.isOccupied || null;
+    const maxNodes = options.maxNodes || PATH_MAX_NODES;
+    const heuristic = (x, y) => Math.abs(x - goalX) + Math.abs(y - goalY);
+
+    const open = new PathQueue();
+    const cameFrom = {};
+    const cost = {};
+    const startKey = startY * width + startX;
+
+    cost[startKey] = 0;
+    open.push({ x: startX, y: startY, f: heuristic(startX, startY) });
+
+    let expanded = 0;
+    while (open.length > 0 && expanded < maxNodes) {
+      const node = open.pop();
+      const key = node.y * width + node.x;
+      expanded++;
+
+      if (node.x === goalX && node.y === goalY) {
+        return this.rebuildPath(cameFrom, key, startKey, width);
+      }
+
+      for (const [dx, dy] of PATH_NEIGHBOURS) {
+        const nx = node.x + dx;
+        const ny = node.y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        if (this.isTileBlocked(grid, nx, ny)) continue;
+
+        const isGoal = nx === goalX && ny === goalY;
+        if (!isGoal && isOccupied && isOccupied(nx, ny)) continue;
+
+        const nextKey = ny * width + nx;
+        const nextCost = cost[key] + 1;
+        if (cost[nextKey] === undefined || nextCost < cost[nextKey]) {
+          cost[nextKey] = nextCost;
+          cameFrom[nextKey] = key;
+          open.push({ x: nx, y: ny, f: nextCost + heuristic(nx, ny) });
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Walk the cameFrom chain back to the start
+  rebuildPath(cameFrom, key, startKey, width) {
+    const path = [];
+    while (key !== startKey) {
+      path.push({ x: key % width, y: Math.floor(key / width) });
+      key = cameFrom[key];
+    }
+    return path.reverse();
+  }
+
+  // Get (or build) the flow field leading to a goal tile
+  getFlowField(grid, goalX, goalY) {
+    if (!grid || !grid.length) return null;
+
+    // A new map (level load) makes every cached field stale
+    if (grid !== this.cachedGrid) {
+      this.invalidate();
+      this.cachedGrid = grid;
+    }
+
+    const key = `${goalX},${goalY}`;
+    if (!this.flowFields[key]) {
+      // Only the party is chased, so keep just the latest goal around
+      this.flowFields = {};
+      this.flowFields[key] = new FlowField(grid, goalX, goalY, this.isTileBlocked);
+    }
+    return this.flowFields[key];
+  }
+}
+
+// ==================== HELPERS ====================
+// Check if a solid entity other than `self` stands on a tile
+function isTileOccupied(x, y, self) {
+  if (!window.entityManager) return false;
+  return window.entityManager.getAtTile(x, y).some(entity =>
+    entity !== self && entity.active && entity.solid && entity.type === "monster"
+  );
+}
+
+// Shared pathfinder over the current worldMap
+const pathfinder = new Pathfinder();
+
+// Make functions globally available
+window.Pathfinder = Pathfinder;
+window.FlowField = FlowField;
+window.pathfinder = pathfinder;
+window.isTileOccupied = isTileOccupied;
+
+console.log("Pathfinding system loaded successfully!");
@@ -0,0 +1,203 @@
+// player.js - Player (party) position, facing and movement for Might of the Beholder
+// The party moves one tile at a time and turns in 90 degree steps. Both are
+// tweened so the view glides between tiles instead of snapping.
+
+// ==================== DIRECTIONS ====================
+// Directions: 0=North, 1=East, 2=South, 3=West (same as AnimatedSprite)
+const DIRECTION_NAMES = ["North", "East", "South", "West"];
+
+// Grid step for each direction (y grows southwards)
+const DIRECTION_DELTAS = [
+  [0, -1], // North
+  [1, 0],  // East
+  [0, 1],  // South
+  [-1, 0]  // West
+];
+
+// Convert a direction to a view angle in radians (East = 0)
+function dirToAngle(direction) {
+  return (((direction % 4) + 4) % 4 - 1) * Math.PI / 2;
+}
+
+// Get the [dx, dy] grid step for a direction
+function dirDeltas(direction) {
+  return DIRECTION_DELTAS[((direction % 4) + 4) % 4];
+}
+
+// Human readable direction name
+function directionToString(direction) {
+  return DIRECTION_NAMES[((direction % 4) + 4) % 4];
+}
+
+// ==================== PLAYER ====================
+// Default animation timings (ms)
+const PLAYER_MOVE_DURATION = 250;
+const PLAYER_TURN_DURATION = 200;
+
+class Player {
+  constructor(x, y, direction, options = {}) {
+    this.type = "player";
+
+    // Grid position (tile centre) and facing
+    this.x = x;
+    this.y = y;
+    this.direction = direction;
+    this.angle = dirToAngle(direction);
+
+    // Animation timings, adjustable at runtime
+    this.moveDuration = options.moveDuration || PLAYER_MOVE_DURATION;
+    this.turnDuration = options.turnDuration || PLAYER_TURN_DURATION;
+
+    // Step animation state
+    this.isMoving = false;
+    this.moveFromX = x;
+    this.moveFromY = y;
+    this.moveToX = x;
+    this.moveToY = y;
+    this.moveElapsed = 0;
+
+    // Turn animation state
+    this.isTurning = false;
+    this.turnFromAngle = this.angle;
+    this.turnToAngle = this.angle;
+    this.turnElapsed = 0;
+  }
+
+  // Start gliding to a new tile centre
+  startMove(toX, toY) {
+    this.isMoving = true;
+    this.moveFromX = this.x;
+    this.moveFromY = this.y;
+    this.moveToX = toX;
+    this.moveToY = toY;
+    this.moveElapsed = 0;
+  }
+
+  // Start turning to face a new direction
+  startTurn(newDirection) {
+    // Turn the short way round
+    let delta = dirToAngle(newDirection) - this.angle;
+    while (delta > Math.PI) delta -= 2 * Math.PI;
+    while (delta < -Math.PI) delta += 2 * Math.PI;
+
+    const fromDirection = this.direction;
+    this.isTurning = true;
+    this.direction = ((newDirection % 4) + 4) % 4;
+    this.turnFromAngle = this.angle;
+    this.turnToAngle = this.angle + delta;
+    this.turnElapsed = 0;
+
+    gameEvents.emit("party:turned", { direction: this.direction, fromDirection: fromDirection });
+  }
+
+  // Advance step and turn animations
+  update(dt) {
+    if (this.isMoving) {
+      this.moveElapsed += dt;
+      const t = easeInOut(Math.min(this.moveElapsed / this.moveDuration, 1));
+
+      this.x = this.moveFromX + (this.moveToX - this.moveFromX) * t;
+      this.y = this.moveFromY + (this.moveToY - this.moveFromY) * t;
+
+      if (this.moveElapsed >= this.moveDuration) {
+        this.x = this.moveToX;
+        this.y = this.moveToY;
+        this.isMoving = false;
+        gameEvents.emit("party:moved", { x: this.x, y: this.y, fromX: this.moveFromX, fromY: this.moveFromY });
+      }
+    }
+
+    if (this.isTurning) {
+      this.turnElapsed += dt;
+      const t = easeInOut(Math.min(this.turnElapsed / this.turnDuration, 1));
+
+      this.angle = this.turnFromAngle + (this.turnToAngle - this.turnFromAngle) * t;
+
+      if (this.turnElapsed >= this.turnDuration) {
+        // Snap to the exact angle so rounding never builds up
+        this.angle = dirToAngle(this.direction);
+        this.isTurning = false;
+      }
+    }
+  }
+
+  // Check if the party can stand at a world position
+  canMoveTo(x, y) {
+    const map = window.worldMap;
+    if (!map) return false;
+
+    const tileX = Math.floor(x);
+    const tileY = Math.floor(y);
+
+    // Stay inside the map
+    if (tileY < 0 || tileY >= map.length || tileX < 0 || tileX >= map[tileY].length) {
+      return false;
+    }
+
+    // Walls, exits, levers and closed doors
+    if (window.isTileWalkable) {
+      if (!window.isTileWalkable(tileX, tileY, map)) return false;
+    } else if (map[tileY][tileX] !== 0) {
+      return false;
+    }
+
+    // Solid entities (monsters, pillars...) block the tile too
+    if (window.entityManager) {
+      const blockers = window.entityManager.getAtTile(tileX, tileY).filter(entity =>
+        entity.active && entity.solid && entity.type !== "projectile"
+      );
+      if (blockers.length > 0) return false;
+    }
+
+    return true;
+  }
+}
+
+// Smoothstep easing for animations
+function easeInOut(t) {
+  return t * t * (3 - 2 * t);
+}
+
+// ==================== GLOBAL PLAYER ====================
+// The party starts here until a level places it
+var player = new Player(1.5, 1.5, 1);
+
+function startMoveAnimation(toX, toY) {
+  player.startMove(toX, toY);
+}
+
+function startTurnAnimation(newDirection) {
+  player.startTurn(newDirection);
+}
+
+function updatePlayerAnimations(dt) {
+  player.update(dt);
+}
+
+// Animated (rendered) position of the party
+function animX() {
+  return player.x;
+}
+
+function animY() {
+  return player.y;
+}
+
+function canMoveTo(x, y) {
+  return player.canMoveTo(x, y);
+}
+
+// Make functions globally available
+window.Player = Player;
+window.player = player;
+window.dirToAngle = dirToAngle;
+window.dirDeltas = dirDeltas;
+window.directionToString = directionToString;
+window.startMoveAnimation = startMoveAnimation;
+window.startTurnAnimation = startTurnAnimation;
+window.updatePlayerAnimations = updatePlayerAnimations;
+window.animX = animX;
+window.animY = animY;
+window.canMoveTo = canMoveTo;
+
+console.log("Player system loaded successfully!");
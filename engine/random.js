@@ -0,0 +1,115 @@
+// random.js - Seeded random numbers for Might of the Beholder
+// All gameplay randomness comes from named streams derived from one seed, so a
+// run can be reproduced from its seed (shown in the renderer panel and stored
+// in saves). Each stream has its own state: extra cosmetic rolls (light
+// flicker, entity ids) never shift the combat or AI sequences.
+// Start with a given seed by adding ?seed=12345 to the page URL.
+
+// ==================== CONSTANTS ====================
+const RANDOM_STREAMS = ["combat", "ai", "loot", "cosmetic"];
+
+// ==================== STREAMS ====================
+// Turn a string into a 32-bit hash (FNV-1a)
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// One sequence of numbers (mulberry32)
+class RandomStream {
+  constructor(state) {
+    this.state = state >>> 0;
+  }
+
+  // Float in [0, 1), like Math.random
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [min, max]
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  // Float in [min, max)
+  float(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // True with the given probability (0..1)
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  // Random element of an array (undefined if it's empty)
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+}
+
+// ==================== RANDOM SERVICE ====================
+class RandomService {
+  constructor(seed) {
+    this.setSeed(seed);
+  }
+
+  // Restart every stream from a new seed
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.streams = {};
+    for (const name of RANDOM_STREAMS) {
+      this.streams[name] = new RandomStream(hashString(`${name}:${this.seed}`));
+    }
+  }
+
+  stream(name) {
+    const stream = this.streams[name];
+    if (!stream) throw new Error(`Unknown random stream "${name}"`);
+    return stream;
+  }
+
+  // Seed and the current position of every stream, for save files
+  serialize() {
+    const states = {};
+    for (const name in this.streams) {
+      states[name] = this.streams[name].state;
+    }
+    return { seed: this.seed, states: states };
+  }
+
+  restore(data) {
+    if (!data) return;
+    this.setSeed(data.seed);
+    for (const name in data.states || {}) {
+      if (this.streams[name]) this.streams[name].state = data.states[name] >>> 0;
+    }
+  }
+}
+
+// Seed from the ?seed= URL parameter, or from the clock
+function chooseInitialSeed() {
+  const param = typeof location !== "undefined" ?
+    new URLSearchParams(location.search).get("seed") : null;
+  if (param !== null && /^\d+$/.test(param)) return Number(param) >>> 0;
+  return Date.now() >>> 0;
+}
+
+// Shared service for the whole game
+const rng = new RandomService(chooseInitialSeed());
+console.log(`Random seed: ${rng.seed}`);
+
+// Make functions globally available
+window.RANDOM_STREAMS = RANDOM_STREAMS;
+window.RandomStream = RandomStream;
+window.RandomService = RandomService;
+window.rng = rng;
+
+console.log("Random system loaded successfully!");
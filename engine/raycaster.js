@@ -0,0 +1,160 @@
+// raycaster.js - Grid raycasting for Might of the Beholder
+// Pure DDA implementation with no DOM access, so it works on any 2D grid and
+// can be required from Node for testing. The browser build exposes the shared
+// window.castRay(px, py, angle) that walks the current worldMap.
+
+// ==================== CONSTANTS ====================
+// Default cutoff for rays that never hit anything (in tiles)
+const RAY_MAX_DISTANCE = 30.0;
+
+// Tile value reported when a ray leaves the grid
+const OUT_OF_BOUNDS_TILE = 1;
+
+// ==================== RAYCASTER ====================
+class Raycaster {
+  constructor(options = {}) {
+    this.maxDistance = options.maxDistance || RAY_MAX_DISTANCE;
+
+    // Decides which tile values stop a ray (anything but floor by default)
+    this.isSolid = options.isSolid || (tile => tile !== 0);
+
+    // How far (0..1) the door in a solid tile has slid open; 0 for plain walls.
+    // Rays slip through the open part and the texture slides with the door.
+    this.getDoorOpenAmount = options.getDoorOpenAmount || (() => 0);
+  }
+
+  // Cast a ray from (px, py) along angle through grid[y][x].
+  // Returns:
+  //   distance    - distance along the ray to the hit point (not fish-eye corrected)
+  //   hit         - false when the ray reached maxDistance without hitting a wall
+  //   tileX/tileY - grid cell that was hit
+  //   wallType    - tile value of that cell (also available as tileType)
+  //   hitVertical - true when the ray crossed a vertical grid line (x side of a tile)
+  //   textureX    - 0..1 position along the wall face, for texture lookups
+  //   wallX       - the same position before flipping, in world orientation
+  //   textureFlipped - true when textureX is 1 - wallX (seen from the far side)
+  //   hitX/hitY   - exact world position of the hit
+  //   doorOpenAmount - how far the door that was hit has slid open (0 for walls)
+  castRay(grid, px, py, angle, maxDistance = this.maxDistance) {
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+
+    let mapX = Math.floor(px);
+    let mapY = Math.floor(py);
+
+    // Distance along the ray between two vertical / horizontal grid lines
+    const deltaDistX = dirX === 0 ? Infinity : Math.abs(1 / dirX);
+    const deltaDistY = dirY === 0 ? Infinity : Math.abs(1 / dirY);
+
+    // Step direction and distance to the first grid line on each axis
+    const stepX = dirX < 0 ? -1 : 1;
+    const stepY = dirY < 0 ? -1 : 1;
+    let sideDistX = dirX < 0 ? (px - mapX) * deltaDistX : (mapX + 1 - px) * deltaDistX;
+    let sideDistY = dirY < 0 ? (py - mapY) * deltaDistY : (mapY + 1 - py) * deltaDistY;
+
+    // Starting inside a solid tile counts as an immediate hit, unless it's a door
+    // that is (partly) open
+    const startTile = this.getTile(grid, mapX, mapY);
+    if (this.isSolid(startTile) && this.getDoorOpenAmount(mapX, mapY) === 0) {
+      return this.buildResult(px, py, dirX, dirY, 0, mapX, mapY, startTile, false, true);
+    }
+
+    let distance = 0;
+    let hitVertical = false;
+
+    while (true) {
+      // Advance to whichever grid line is closer
+      if (sideDistX < sideDistY) {
+        distance = sideDistX;
+        sideDistX += deltaDistX;
+        mapX += stepX;
+        hitVertical = true;
+      } else {
+        distance = sideDistY;
+        sideDistY += deltaDistY;
+        mapY += stepY;
+        hitVertical = false;
+      }
+
+      if (distance > maxDistance) {
+        return this.buildResult(px, py, dirX, dirY, maxDistance, mapX, mapY, null, hitVertical, false);
+      }
+
+      const tile = this.getTile(grid, mapX, mapY);
+      if (this.isSolid(tile)) {
+        const result = this.buildResult(px, py, dirX, dirY, distance, mapX, mapY, tile, hitVertical, true);
+        const openAmount = this.getDoorOpenAmount(mapX, mapY);
+        if (openAmount === 0) return result;
+
+        // Through the gap of a sliding door. The gap is measured along the
+        // unflipped wall face so the door opens to the same side from both sides.
+        if (result.wallX < openAmount) continue;
+
+        // The panel carries its texture along as it slides
+        const panelX = result.wallX - openAmount;
+        result.textureX = result.textureFlipped ? 1 - panelX : panelX;
+        result.doorOpenAmount = openAmount;
+        return result;
+      }
+    }
+  }
+
+  // Read a tile, treating anything outside the grid as solid wall
+  getTile(grid, x, y) {
+    if (!grid || y < 0 || y >= grid.length || x < 0 || !grid[y] || x >= grid[y].length) {
+      return OUT_OF_BOUNDS_TILE;
+    }
+    return grid[y][x];
+  }
+
+  // Assemble the ray result object
+  buildResult(px, py, dirX, dirY, distance, tileX, tileY, tile, hitVertical, hit) {
+    const hitX = px + dirX * distance;
+    const hitY = py + dirY * distance;
+
+    // Position along the wall face, flipped so textures read the same from both sides
+    const wallX = hitVertical ? hitY - Math.floor(hitY) : hitX - Math.floor(hitX);
+    const textureFlipped = hitVertical ? dirX < 0 : dirY > 0;
+    const textureX = textureFlipped ? 1 - wallX : wallX;
+
+    return {
+      distance: distance,
+      hit: hit,
+      tileX: tileX,
+      tileY: tileY,
+      wallType: tile,
+      tileType: tile,
+      hitVertical: hitVertical,
+      textureX: textureX,
+      wallX: wallX,
+      textureFlipped: textureFlipped,
+      hitX: hitX,
+      hitY: hitY,
+      doorOpenAmount: 0
+    };
+  }
+}
+
+// ==================== EXPORT ====================
+// Node (tests, tools)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Raycaster, RAY_MAX_DISTANCE, OUT_OF_BOUNDS_TILE };
+}
+
+// Browser: one shared raycaster over the current worldMap
+if (typeof window !== 'undefined') {
+  // Tile opacity and door positions come from levels.js and mechanisms.js,
+  // which load later, so look them up on each call
+  const raycaster = new Raycaster({
+    isSolid: tile => window.getTileProperties ? window.getTileProperties(tile).opaque : tile !== 0,
+    getDoorOpenAmount: (x, y) => window.mechanismManager ? window.mechanismManager.getDoorOpenAmount(x, y) : 0
+  });
+
+  window.Raycaster = Raycaster;
+  window.raycaster = raycaster;
+  window.castRay = function(px, py, angle, maxDistance) {
+    return raycaster.castRay(window.worldMap, px, py, angle, maxDistance);
+  };
+
+  console.log("Raycaster loaded successfully!");
+}
@@ -0,0 +1,360 @@
+// replay.js - Player commands, input recording and replays for Might of the Beholder
+// Every player command (keys, movement buttons, ability buttons, inventory
+// clicks) goes through runPlayerCommand, so it can be recorded with the
+// simulation tick it happened on. A recording starts from a full save
+// snapshot (which includes the random seed and stream positions), so playing
+// it back re-runs the same simulation exactly, live or headless.
+//
+// Keys: F6 starts/stops recording, F7 plays back the last recording,
+// F8 exports it as JSON and Shift+F7 imports a recording file and plays it.
+
+// ==================== CONSTANTS ====================
+// Bump when the recording layout changes
+const REPLAY_FORMAT_VERSION = 1;
+
+// Positions closer than this count as the same when checking a replay
+const REPLAY_POSITION_TOLERANCE = 1e-6;
+
+// ==================== PLAYER COMMANDS ====================
+// Apply an inventory change and refresh the panels if something happened
+function applyInventoryChange(changed) {
+  if (changed) party.notifyChanged();
+  return changed;
+}
+
+// Command name -> function. Arguments must be plain JSON values.
+const PLAYER_COMMANDS = {
+  moveForward: () => moveForward(),
+  moveBackward: () => moveBackward(),
+  strafeLeft: () => strafeLeft(),
+  strafeRight: () => strafeRight(),
+  turnLeft: () => turnLeft(),
+  turnRight: () => turnRight(),
+  interact: () => interact(),
+  pickUpItems: () => pickUpItems(),
+  attack: charIndex => meleeAttackFromCharacter(charIndex),
+  castSpell: (charIndex, spellId) => castSpellFromCharacter(charIndex, spellId),
+  useItem: (charIndex, index) => applyInventoryChange(useItem(party.getCharacter(charIndex), index)),
+  dropItem: (charIndex, index) => applyInventoryChange(dropItem(party.getCharacter(charIndex), index)),
+  unequipItem: (charIndex, slot) => applyInventoryChange(unequipItem(party.getCharacter(charIndex), slot)),
+  transferItem: (fromIndex, index, toIndex) =>
+    applyInventoryChange(transferItem(party.getCharacter(fromIndex), index, party.getCharacter(toIndex)))
+};
+
+// Run a player command and record it if a recording is running.
+// Returns whatever the command returns. Live input is ignored during playback.
+function runPlayerCommand(name, ...args) {
+  const command = PLAYER_COMMANDS[name];
+  if (!command) {
+    console.warn(`Unknown player command "${name}"`);
+    return undefined;
+  }
+  if (activePlayback && !activePlayback.dispatching) return undefined;
+
+  if (activeRecording) {
+    activeRecording.commands.push({
+      tick: simulationLoop.stepCount - activeRecording.startStep,
+      command: name,
+      args: args
+    });
+  }
+  return command(...args);
+}
+
+// ==================== RECORDING ====================
+// Recording in progress / replay being played, or null
+let activeRecording = null;
+let activePlayback = null;
+
+// Last recording made or imported, for F7/F8
+let lastRecording = null;
+
+// Set while a replay loads its own snapshot, so that load doesn't stop anything
+let loadingReplaySnapshot = false;
+
+function isRecording() {
+  return activeRecording !== null;
+}
+
+function startRecording() {
+  if (activeRecording || activePlayback) return false;
+
+  // Reload the snapshot straight away so the live game starts from exactly
+  // the state a replay will (no cached paths or other unsaved state)
+  const start = serializeGame();
+  loadReplaySnapshot(start);
+
+  activeRecording = {
+    startStep: simulationLoop.stepCount,
+    start: start,
+    commands: []
+  };
+  logReplay(`Recording started (seed ${rng.seed}).`);
+  return true;
+}
+
+// Finish the recording. Returns it, with the outcome a replay must reproduce.
+function stopRecording() {
+  if (!activeRecording) return null;
+
+  const recording = {
+    format: REPLAY_FORMAT_VERSION,
+    recordedAt: new Date().toISOString(),
+    seed: activeRecording.start.random.seed,
+    start: activeRecording.start,
+    commands: activeRecording.commands,
+    endTick: simulationLoop.stepCount - activeRecording.startStep,
+    expected: captureReplayOutcome()
+  };
+  activeRecording = null;
+  lastRecording = recording;
+
+  logReplay(`Recording stopped: ${recording.commands.length} commands over ${recording.endTick} ticks.`);
+  return recording;
+}
+
+function toggleRecording() {
+  if (activeRecording) {
+    stopRecording();
+  } else {
+    startRecording();
+  }
+}
+
+// A recording only makes sense from its own start, so loading a save ends it
+gameEvents.on("save:loaded", function() {
+  if (loadingReplaySnapshot) return;
+  if (activeRecording) {
+    activeRecording = null;
+    logReplay("Recording stopped: a save was loaded.");
+  }
+  if (activePlayback) {
+    activePlayback = null;
+    logReplay("Replay stopped: a save was loaded.");
+  }
+});
+
+function loadReplaySnapshot(snapshot) {
+  loadingReplaySnapshot = true;
+  try {
+    loadGameData(JSON.parse(JSON.stringify(snapshot)));
+  } finally {
+    loadingReplaySnapshot = false;
+  }
+}
+
+// ==================== OUTCOME ====================
+// The state a replay is checked against: where the party ended up, monster
+// health and whether the game is over
+function captureReplayOutcome() {
+  return {
+    party: {
+      x: player.isMoving ? player.moveToX : player.x,
+      y: player.isMoving ? player.moveToY : player.y,
+      direction: player.direction,
+      hp: party ? party.characters.map(character => character.hp) : []
+    },
+    monsters: entityManager.getByType("monster").map(monster => ({
+      id: monster.id,
+      monsterType: monster.monsterType,
+      health: monster.properties.health
+    })),
+    gameOver: gameState.gameOver,
+    victory: gameState.victory
+  };
+}
+
+// List the differences between two outcomes (empty if they match)
+function compareReplayOutcomes(expected, actual) {
+  const problems = [];
+
+  if (Math.abs(expected.party.x - actual.party.x) > REPLAY_POSITION_TOLERANCE ||
+      Math.abs(expected.party.y - actual.party.y) > REPLAY_POSITION_TOLERANCE) {
+    problems.push(`party at (${actual.party.x}, ${actual.party.y}), expected (${expected.party.x}, ${expected.party.y})`);
+  }
+  if (expected.party.direction !== actual.party.direction) {
+    problems.push(`party facing ${actual.party.direction}, expected ${expected.party.direction}`);
+  }
+  expected.party.hp.forEach((hp, i) => {
+    if (actual.party.hp[i] !== hp) problems.push(`character ${i + 1} has ${actual.party.hp[i]} HP, expected ${hp}`);
+  });
+
+  for (const monster of expected.monsters) {
+    const found = actual.monsters.find(m => m.id === monster.id);
+    if (!found) {
+      problems.push(`${monster.monsterType} ${monster.id} is missing`);
+    } else if (found.health !== monster.health) {
+      problems.push(`${monster.monsterType} ${monster.id} has ${found.health} HP, expected ${monster.health}`);
+    }
+  }
+  for (const monster of actual.monsters) {
+    if (!expected.monsters.some(m => m.id === monster.id)) {
+      problems.push(`unexpected ${monster.monsterType} ${monster.id}`);
+    }
+  }
+
+  if (expected.gameOver !== actual.gameOver) problems.push(`gameOver is ${actual.gameOver}, expected ${expected.gameOver}`);
+  if (expected.victory !== actual.victory) problems.push(`victory is ${actual.victory}, expected ${expected.victory}`);
+
+  return problems;
+}
+
+// ==================== PLAYBACK ====================
+function isReplayPlaying() {
+  return activePlayback !== null;
+}
+
+// Start playing a recording in the running game. onFinish(result) is called
+// with { outcome, problems } once the last tick has been replayed.
+function startReplay(recording, onFinish = null) {
+  if (!recording || recording.format !== REPLAY_FORMAT_VERSION) {
+    logReplay("Not a replay this version of the game can play.");
+    return false;
+  }
+  if (activeRecording) stopRecording();
+
+  loadReplaySnapshot(recording.start);
+  activePlayback = {
+    recording: recording,
+    startStep: simulationLoop.stepCount,
+    nextCommand: 0,
+    dispatching: false,
+    onFinish: onFinish
+  };
+  logReplay(`Replaying ${recording.commands.length} commands (seed ${recording.seed}).`);
+  return true;
+}
+
+// Run the commands recorded up to (and including) a tick
+function dispatchReplayCommands(playback, tick) {
+  const commands = playback.recording.commands;
+  playback.dispatching = true;
+  try {
+    while (playback.nextCommand < commands.length && commands[playback.nextCommand].tick <= tick) {
+      const entry = commands[playback.nextCommand++];
+      runPlayerCommand(entry.command, ...entry.args);
+    }
+  } finally {
+    playback.dispatching = false;
+  }
+}
+
+// Replay the rest of the commands and check the result against the recording
+function finishReplay() {
+  const playback = activePlayback;
+  if (!playback) return null;
+
+  dispatchReplayCommands(playback, playback.recording.endTick);
+  activePlayback = null;
+
+  const outcome = captureReplayOutcome();
+  const problems = playback.recording.expected ?
+    compareReplayOutcomes(playback.recording.expected, outcome) : [];
+  const result = { outcome: outcome, problems: problems };
+
+  if (problems.length === 0) {
+    logReplay("Replay finished and matches the recording.");
+  } else {
+    logReplay(`Replay finished with ${problems.length} difference(s) from the recording.`);
+    for (const problem of problems) console.warn(`Replay: ${problem}`);
+  }
+  if (playback.onFinish) playback.onFinish(result);
+  return result;
+}
+
+// Commands run between steps, at the tick they were recorded on
+gameEvents.on("game:stepping", function(event) {
+  if (!activePlayback) return;
+
+  const tick = event.tick - activePlayback.startStep;
+  if (tick >= activePlayback.recording.endTick) {
+    finishReplay();
+    return;
+  }
+  dispatchReplayCommands(activePlayback, tick);
+});
+
+// Play a recording as fast as possible without rendering (for regression
+// tests). Returns { outcome, problems }; problems is empty when the run
+// reproduces the recording.
+function runReplayHeadless(recording) {
+  if (!startReplay(recording)) return null;
+  stepSimulation(recording.endTick);
+  return finishReplay();
+}
+
+// ==================== FILES ====================
+function exportReplayFile(recording = lastRecording) {
+  if (!recording) {
+    logReplay("Nothing recorded yet.");
+    return;
+  }
+
+  const json = JSON.stringify(recording, null, 2);
+  const blob = new Blob([json], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `beholder-replay-${recording.recordedAt.slice(0, 19).replace(/:/g, "-")}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Pick a recording file and play it
+function importReplayFile() {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.onchange = function() {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function() {
+      try {
+        lastRecording = JSON.parse(reader.result);
+        startReplay(lastRecording);
+      } catch (e) {
+        console.error("Failed to import replay:", e);
+        logReplay(`Could not import replay: ${e.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+  input.click();
+}
+
+function playLastRecording() {
+  if (!lastRecording) {
+    logReplay("Nothing recorded yet.");
+    return false;
+  }
+  return startReplay(lastRecording);
+}
+
+function logReplay(message) {
+  console.log(message);
+  if (window.log) window.log(message);
+}
+
+// Make functions globally available
+window.PLAYER_COMMANDS = PLAYER_COMMANDS;
+window.runPlayerCommand = runPlayerCommand;
+window.isRecording = isRecording;
+window.startRecording = startRecording;
+window.stopRecording = stopRecording;
+window.toggleRecording = toggleRecording;
+window.isReplayPlaying = isReplayPlaying;
+window.startReplay = startReplay;
+window.finishReplay = finishReplay;
+window.runReplayHeadless = runReplayHeadless;
+window.captureReplayOutcome = captureReplayOutcome;
+window.compareReplayOutcomes = compareReplayOutcomes;
+window.exportReplayFile = exportReplayFile;
+window.importReplayFile = importReplayFile;
+window.playLastRecording = playLastRecording;
+
+console.log("Replay system loaded successfully!");
@@ -0,0 +1,536 @@
+// touch.js - Touch gestures for the mobile layouts of Might of the Beholder
+// On the game view: swipe to step or strafe, tap near the left/right edge to
+// turn, tap a monster to hit it and tap anywhere else to use what's ahead.
+// Hold a portrait to open that character's spells. Gestures run the same
+// actions as keys and gamepad buttons (see input.js), show a short ring where
+// the finger was and buzz the phone if it can. Everything is adjustable in the
+// touch settings panel and kept in localStorage.
+
+// ==================== SETTINGS ====================
+const TOUCH_SETTINGS_STORAGE_KEY = "beholder.touch";
+
+// A finger that moves less than tapDistance is a tap; one that travels
+// swipeDistance (CSS pixels) within TOUCH_SWIPE_MAX_TIME is a swipe
+const DEFAULT_TOUCH_SETTINGS = {
+  swipeDistance: 40,
+  tapDistance: 12,
+  edgeWidth: 0.2,       // Share of the view width on each side that turns
+  longPressTime: 500,   // ms to hold a portrait for its spells
+  vibrate: true,
+  feedback: true,
+  hideButtons: false,   // Hide the on-screen movement buttons
+
+  // Gesture -> input action
+  gestures: {
+    swipeUp: "moveForward",
+    swipeDown: "moveBackward",
+    swipeLeft: "strafeLeft",
+    swipeRight: "strafeRight",
+    tapLeft: "turnLeft",
+    tapRight: "turnRight",
+    tapCenter: "interact"
+  }
+};
+
+// Gesture labels for the settings panel, and the mark each one leaves
+const TOUCH_GESTURES = {
+  swipeUp: { label: "Swipe up", symbol: "⬆" },
+  swipeDown: { label: "Swipe down", symbol: "⬇" },
+  swipeLeft: { label: "Swipe left", symbol: "⬅" },
+  swipeRight: { label: "Swipe right", symbol: "➡" },
+  tapLeft: { label: "Tap left edge", symbol: "⟲" },
+  tapRight: { label: "Tap right edge", symbol: "⟳" },
+  tapCenter: { label: "Tap elsewhere", symbol: "✋" }
+};
+
+// Slower finger movements are drags, not swipes
+const TOUCH_SWIPE_MAX_TIME = 800;
+
+// Vibration length (ms) for a gesture that did something / was refused
+const TOUCH_VIBRATE_MS = 15;
+const TOUCH_VIBRATE_REFUSED_MS = [10, 40, 10];
+
+let touchSettings = loadTouchSettings();
+
+function getDefaultTouchSettings() {
+  return { ...DEFAULT_TOUCH_SETTINGS, gestures: { ...DEFAULT_TOUCH_SETTINGS.gestures } };
+}
+
+// Defaults with the stored settings on top
+function loadTouchSettings() {
+  const settings = getDefaultTouchSettings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(TOUCH_SETTINGS_STORAGE_KEY) || "null");
+    if (saved) {
+      for (const name in DEFAULT_TOUCH_SETTINGS) {
+        if (name !== "gestures" && typeof saved[name] === typeof DEFAULT_TOUCH_SETTINGS[name]) {
+          settings[name] = saved[name];
+        }
+      }
+      // A gesture set to nothing is stored as null
+      for (const gesture in saved.gestures || {}) {
+        const actionId = saved.gestures[gesture];
+        if (gesture in settings.gestures && (actionId === null || INPUT_ACTIONS[actionId])) {
+          settings.gestures[gesture] = saved.gestures[gesture];
+        }
+      }
+    }
+  } catch (e) {
+    console.warn("Could not read touch settings, using the defaults:", e);
+  }
+  return settings;
+}
+
+function saveTouchSettings() {
+  try {
+    localStorage.setItem(TOUCH_SETTINGS_STORAGE_KEY, JSON.stringify(touchSettings));
+  } catch (e) {
+    console.warn("Could not store touch settings:", e);
+  }
+}
+
+// Change some settings, e.g. configureTouchControls({ swipeDistance: 60 })
+function configureTouchControls(changes) {
+  touchSettings = {
+    ...touchSettings,
+    ...changes,
+    gestures: { ...touchSettings.gestures, ...(changes.gestures || {}) }
+  };
+  saveTouchSettings();
+  applyTouchButtonVisibility();
+}
+
+function getTouchSettings() {
+  return touchSettings;
+}
+
+function applyTouchButtonVisibility() {
+  const controls = document.getElementById("controls");
+  if (controls) controls.style.display = touchSettings.hideButtons ? "none" : "";
+}
+
+// ==================== GAME VIEW GESTURES ====================
+// The finger being followed (others are ignored until it lifts)
+let activeTouch = null;
+
+function setupTouchGestures(canvas) {
+  // Keep the browser from scrolling or zooming instead
+  canvas.style.touchAction = "none";
+
+  canvas.addEventListener("pointerdown", function(e) {
+    if (activeTouch) return;
+    activeTouch = { id: e.pointerId, x: e.clientX, y: e.clientY, time: performance.now() };
+    canvas.setPointerCapture(e.pointerId);
+  });
+
+  canvas.addEventListener("pointerup", function(e) {
+    if (!activeTouch || activeTouch.id !== e.pointerId) return;
+    const start = activeTouch;
+    activeTouch = null;
+    handleTouchGesture(canvas, start, e.clientX, e.clientY, performance.now() - start.time);
+  });
+
+  canvas.addEventListener("pointercancel", function(e) {
+    if (activeTouch && activeTouch.id === e.pointerId) activeTouch = null;
+  });
+}
+
+// Work out what a finished touch was and run it
+function handleTouchGesture(canvas, start, endX, endY, duration) {
+  const dx = endX - start.x;
+  const dy = endY - start.y;
+  const distance = Math.sqrt(dx*dx + dy*dy);
+
+  if (distance >= touchSettings.swipeDistance) {
+    if (duration > TOUCH_SWIPE_MAX_TIME) return;
+    let gesture;
+    if (Math.abs(dx) > Math.abs(dy)) {
+      gesture = dx > 0 ? "swipeRight" : "swipeLeft";
+    } else {
+      gesture = dy > 0 ? "swipeDown" : "swipeUp";
+    }
+    runTouchGesture(canvas, gesture, start.x, start.y);
+    return;
+  }
+
+  if (distance > touchSettings.tapDistance) return;
+
+  const rect = canvas.getBoundingClientRect();
+  const across = (start.x - rect.left) / rect.width;
+
+  if (across < touchSettings.edgeWidth) {
+    runTouchGesture(canvas, "tapLeft", start.x, start.y);
+  } else if (across > 1 - touchSettings.edgeWidth) {
+    runTouchGesture(canvas, "tapRight", start.x, start.y);
+  } else {
+    const monster = findMonsterAtScreenPoint(canvas, start.x, start.y);
+    if (monster) {
+      attackTappedMonster(canvas, monster, start.x, start.y);
+    } else {
+      runTouchGesture(canvas, "tapCenter", start.x, start.y);
+    }
+  }
+}
+
+function runTouchGesture(canvas, gesture, x, y) {
+  const actionId = touchSettings.gestures[gesture];
+  const ran = actionId ? runInputAction(actionId) : false;
+  showTouchFeedback(canvas, x, y, TOUCH_GESTURES[gesture].symbol, ran ? "#FFD700" : "#888");
+  vibrateTouch(ran);
+}
+
+// ==================== TAPPING MONSTERS ====================
+// Topmost (closest) living monster drawn under a point, or null
+function findMonsterAtScreenPoint(canvas, clientX, clientY) {
+  if (!window.entityManager || !window.player || !window.screenW || !window.castRay) return null;
+
+  // Client coordinates -> canvas pixels (the canvas is stretched by CSS)
+  const rect = canvas.getBoundingClientRect();
+  const x = (clientX - rect.left) * (window.screenW / rect.width);
+  const y = (clientY - rect.top) * (window.screenH / rect.height);
+
+  let closest = null;
+  let closestDistance = Infinity;
+  for (const monster of entityManager.getByType("monster")) {
+    if (!monster.active) continue;
+
+    const projection = monster.getScreenProjection(player, window.screenW, window.screenH, window.fov, window.castRay);
+    if (!projection) continue;
+
+    const { screenX, screenY, spriteWidth, spriteHeight } = projection;
+    if (x < screenX - spriteWidth / 2 || x > screenX + spriteWidth / 2) continue;
+    if (y < screenY || y > screenY + spriteHeight) continue;
+
+    const distance = monster.distanceTo(player);
+    if (distance < closestDistance) {
+      closest = monster;
+      closestDistance = distance;
+    }
+  }
+  return closest;
+}
+
+// Hit a tapped monster with the first character ready to swing, starting at
+// the selected one. Only the monster right in front of the party can be hit.
+function attackTappedMonster(canvas, monster, x, y) {
+  if (monster !== getMonsterAhead()) {
+    log(`The ${monster.name || "monster"} is out of reach.`);
+    showTouchFeedback(canvas, x, y, "✕", "#888");
+    vibrateTouch(false);
+    return;
+  }
+
+  const attacker = findReadyAttacker();
+  pressAttackButton(attacker);
+  showTouchFeedback(canvas, x, y, "⚔", "#F33");
+  vibrateTouch(true);
+}
+
+function findReadyAttacker() {
+  const count = party.characters.length;
+  const now = simulationTime();
+  for (let i = 0; i < count; i++) {
+    const index = (party.selectedIndex + i) % count;
+    const character = party.getCharacter(index);
+    if (character.canAct() && canReachMelee(character) && now >= meleeCooldown[index]) return index;
+  }
+  // Nobody is ready; let the selected character say why
+  return party.selectedIndex;
+}
+
+// ==================== PORTRAITS ====================
+// Holding a portrait opens that character's spell list
+function setupPortraitLongPress() {
+  document.querySelectorAll("#characterPanel .portrait").forEach((portrait, index) => {
+    let timer = null;
+    let start = null;
+    let opened = false;
+
+    // No image menu or text selection on a long press
+    portrait.style.webkitTouchCallout = "none";
+    portrait.style.userSelect = "none";
+    portrait.addEventListener("contextmenu", e => e.preventDefault());
+
+    const cancel = function() {
+      clearTimeout(timer);
+      timer = null;
+      portrait.style.transform = "";
+    };
+
+    portrait.addEventListener("pointerdown", function(e) {
+      start = { x: e.clientX, y: e.clientY };
+      opened = false;
+      portrait.style.transition = `transform ${touchSettings.longPressTime}ms`;
+      portrait.style.transform = "scale(0.9)";
+      timer = setTimeout(function() {
+        cancel();
+        opened = true;
+        pressSpellButton(index);
+        vibrateTouch(true);
+      }, touchSettings.longPressTime);
+    });
+
+    portrait.addEventListener("pointermove", function(e) {
+      if (!timer) return;
+      const dx = e.clientX - start.x;
+      const dy = e.clientY - start.y;
+      if (Math.sqrt(dx*dx + dy*dy) > touchSettings.tapDistance) cancel();
+    });
+    portrait.addEventListener("pointerup", cancel);
+    portrait.addEventListener("pointerleave", cancel);
+    portrait.addEventListener("pointercancel", cancel);
+
+    // The click that ends a long press must not open the character sheet
+    // or close the spell list again
+    portrait.addEventListener("click", function(e) {
+      if (!opened) return;
+      opened = false;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }, true);
+  });
+}
+
+// ==================== FEEDBACK ====================
+// A ring with a symbol that pops where the finger was
+function showTouchFeedback(canvas, clientX, clientY, symbol, color) {
+  if (!touchSettings.feedback) return;
+
+  const container = canvas.parentElement;
+  const rect = container.getBoundingClientRect();
+
+  const mark = document.createElement("div");
+  mark.className = "touch-feedback";
+  mark.textContent = symbol;
+  mark.style.position = "absolute";
+  mark.style.left = `${clientX - rect.left - 30}px`;
+  mark.style.top = `${clientY - rect.top - 30}px`;
+  mark.style.width = "60px";
+  mark.style.height = "60px";
+  mark.style.borderRadius = "50%";
+  mark.style.border = `3px solid ${color}`;
+  mark.style.color = color;
+  mark.style.fontSize = "28px";
+  mark.style.display = "flex";
+  mark.style.alignItems = "center";
+  mark.style.justifyContent = "center";
+  mark.style.boxSizing = "border-box";
+  mark.style.pointerEvents = "none";
+  mark.style.zIndex = "5";
+  mark.style.opacity = "0.9";
+  mark.style.transform = "scale(0.5)";
+  mark.style.transition = "transform 0.35s ease-out, opacity 0.35s ease-out";
+  container.appendChild(mark);
+
+  // Grow and fade, then clean up
+  requestAnimationFrame(() => {
+    mark.style.transform = "scale(1.3)";
+    mark.style.opacity = "0";
+  });
+  setTimeout(() => {
+    if (container.contains(mark)) container.removeChild(mark);
+  }, 400);
+}
+
+// Short buzz when a gesture did something, a double one when it didn't
+function vibrateTouch(success) {
+  if (!touchSettings.vibrate || !navigator.vibrate) return;
+  navigator.vibrate(success ? TOUCH_VIBRATE_MS : TOUCH_VIBRATE_REFUSED_MS);
+}
+
+// ==================== SETTINGS PANEL ====================
+function createTouchSettingsPanel() {
+  if (document.getElementById("touchSettingsPanel")) return;
+
+  const panel = document.createElement("div");
+  panel.id = "touchSettingsPanel";
+  panel.style.position = "fixed";
+  panel.style.top = "50%";
+  panel.style.left = "50%";
+  panel.style.transform = "translate(-50%, -50%)";
+  panel.style.maxHeight = "90%";
+  panel.style.overflowY = "auto";
+  panel.style.backgroundColor = "rgba(0, 0, 0, 0.9)";
+  panel.style.color = "white";
+  panel.style.padding = "12px";
+  panel.style.borderRadius = "5px";
+  panel.style.fontFamily = "Arial, sans-serif";
+  panel.style.fontSize = "14px";
+  panel.style.zIndex = "1000";
+  panel.style.minWidth = "280px";
+  panel.style.display = "none";
+  document.body.appendChild(panel);
+}
+
+// Rebuild the panel from the current settings
+function refreshTouchSettingsPanel() {
+  const panel = document.getElementById("touchSettingsPanel");
+  if (!panel) return;
+  panel.innerHTML = "";
+
+  const title = document.createElement("div");
+  title.textContent = "Touch Controls";
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "8px";
+  panel.appendChild(title);
+
+  panel.appendChild(createTouchSlider("Swipe length", "swipeDistance", 20, 120, 5, value => `${value}px`));
+  panel.appendChild(createTouchSlider("Turn edge width", "edgeWidth", 0.1, 0.4, 0.05, value => `${Math.round(value * 100)}%`));
+  panel.appendChild(createTouchSlider("Hold for spells", "longPressTime", 250, 1000, 50, value => `${value}ms`));
+  panel.appendChild(createTouchCheckbox("Vibrate", "vibrate"));
+  panel.appendChild(createTouchCheckbox("Show touch marks", "feedback"));
+  panel.appendChild(createTouchCheckbox("Hide movement buttons", "hideButtons"));
+
+  const heading = document.createElement("div");
+  heading.textContent = "Gestures";
+  heading.style.fontWeight = "bold";
+  heading.style.marginTop = "8px";
+  heading.style.borderTop = "1px solid #444";
+  heading.style.paddingTop = "4px";
+  panel.appendChild(heading);
+
+  for (const gesture in TOUCH_GESTURES) {
+    panel.appendChild(createTouchGestureSelect(gesture));
+  }
+
+  const footer = document.createElement("div");
+  footer.style.marginTop = "10px";
+  footer.style.textAlign = "right";
+  footer.appendChild(createTouchSettingsButton("Reset to defaults", function() {
+    touchSettings = getDefaultTouchSettings();
+    saveTouchSettings();
+    applyTouchButtonVisibility();
+    refreshTouchSettingsPanel();
+  }));
+  footer.appendChild(createTouchSettingsButton("Close", hideTouchSettingsPanel));
+  panel.appendChild(footer);
+}
+
+function createTouchSettingsRow(text) {
+  const row = document.createElement("label");
+  row.style.display = "flex";
+  row.style.alignItems = "center";
+  row.style.gap = "8px";
+  row.style.marginTop = "6px";
+
+  const label = document.createElement("span");
+  label.textContent = text;
+  label.style.flex = "1";
+  row.appendChild(label);
+  return row;
+}
+
+function createTouchSlider(text, setting, min, max, step, format) {
+  const row = createTouchSettingsRow(text);
+
+  const value = document.createElement("span");
+  value.textContent = format(touchSettings[setting]);
+  value.style.minWidth = "45px";
+  value.style.textAlign = "right";
+
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.min = String(min);
+  slider.max = String(max);
+  slider.step = String(step);
+  slider.value = String(touchSettings[setting]);
+  slider.oninput = function() {
+    configureTouchControls({ [setting]: Number(slider.value) });
+    value.textContent = format(touchSettings[setting]);
+  };
+
+  row.appendChild(slider);
+  row.appendChild(value);
+  return row;
+}
+
+function createTouchCheckbox(text, setting) {
+  const row = createTouchSettingsRow(text);
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = touchSettings[setting];
+  checkbox.onchange = function() {
+    configureTouchControls({ [setting]: checkbox.checked });
+  };
+  row.appendChild(checkbox);
+  return row;
+}
+
+// Any movement or party action can go on a gesture
+function createTouchGestureSelect(gesture) {
+  const row = createTouchSettingsRow(TOUCH_GESTURES[gesture].label);
+
+  const select = document.createElement("select");
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = "Nothing";
+  select.appendChild(none);
+
+  for (const id in INPUT_ACTIONS) {
+    const group = INPUT_ACTIONS[id].group;
+    if (group !== "movement" && group !== "party") continue;
+
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = INPUT_ACTIONS[id].label;
+    select.appendChild(option);
+  }
+  select.value = touchSettings.gestures[gesture] || "";
+  select.onchange = function() {
+    configureTouchControls({ gestures: { [gesture]: select.value || null } });
+  };
+
+  row.appendChild(select);
+  return row;
+}
+
+function createTouchSettingsButton(label, onClick) {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.style.marginLeft = "5px";
+  button.style.padding = "6px 10px";
+  button.style.backgroundColor = "#444";
+  button.style.color = "white";
+  button.style.border = "none";
+  button.style.borderRadius = "3px";
+  button.onclick = onClick;
+  return button;
+}
+
+function hideTouchSettingsPanel() {
+  const panel = document.getElementById("touchSettingsPanel");
+  if (panel) panel.style.display = "none";
+}
+
+function toggleTouchSettingsPanel() {
+  createTouchSettingsPanel();
+  const panel = document.getElementById("touchSettingsPanel");
+  if (panel.style.display !== "none") {
+    hideTouchSettingsPanel();
+    return;
+  }
+  refreshTouchSettingsPanel();
+  panel.style.display = "block";
+}
+
+// ==================== SETUP ====================
+window.addEventListener("load", function() {
+  const canvas = document.getElementById("gameCanvas");
+  if (canvas) setupTouchGestures(canvas);
+  setupPortraitLongPress();
+  applyTouchButtonVisibility();
+
+  const settingsButton = document.getElementById("btnTouchSettings");
+  if (settingsButton) settingsButton.addEventListener("click", toggleTouchSettingsPanel);
+
+  console.log("Touch controls initialized");
+});
+
+// Make functions globally available
+window.DEFAULT_TOUCH_SETTINGS = DEFAULT_TOUCH_SETTINGS;
+window.configureTouchControls = configureTouchControls;
+window.getTouchSettings = getTouchSettings;
+window.toggleTouchSettingsPanel = toggleTouchSettingsPanel;
+
+console.log("Touch system loaded successfully!");
@@ -35,10 +35,10 @@ function createWebGLDebugUI() {
   
   // Create control buttons
   const buttons = [
-    { id: 'toggle-renderer', text: 'Toggle Renderer (R)', action: 'toggleRenderer' },
-    { id: 'toggle-quality', text: 'Toggle Quality (T)', action: 'toggleRendererQuality' },
-    { id: 'toggle-fps', text: 'Toggle FPS (F)', action: 'toggleFPSCounter' },
-    { id: 'toggle-debug', text: 'Toggle Debug (D)', action: 'toggleDebugMode' }
+    { id: 'toggle-renderer', text: `Toggle Renderer${getKeyHint('toggleRenderer')}`, action: 'toggleRenderer' },
+    { id: 'toggle-quality', text: `Toggle Quality${getKeyHint('toggleQuality')}`, action: 'toggleRendererQuality' },
+    { id: 'toggle-fps', text: `Toggle FPS${getKeyHint('toggleFPS')}`, action: 'toggleFPSCounter' },
+    { id: 'toggle-debug', text: `Toggle Debug${getKeyHint('toggleDebug')}`, action: 'toggleDebugMode' }
   ];
   
   buttons.forEach(btn => {
@@ -190,41 +190,11 @@ function diagnoseWebGLStatus() {
   }
 }
 
-// Enhance keyboard controls
-function enhanceKeyboardControls() {
-  document.addEventListener('keydown', function(e) {
-    const key = e.key.toLowerCase();
-    
-    // R key toggles renderer
-    if (key === 'r' && window.toggleRenderer) {
-      window.toggleRenderer();
-    }
-    
-    // T key toggles quality
-    if (key === 't' && window.toggleRendererQuality) {
-      window.toggleRendererQuality();
-    }
-    
-    // D key toggles debug mode
-    if (key === 'd') {
-      toggleDebugMode();
-    }
-    
-    // V key runs diagnostics
-    if (key === 'v') {
-      diagnoseWebGLStatus();
-    }
-  });
-}
-
 // Initialize WebGL enhancements
 function initWebGLEnhancements() {
   // Set up debug UI
   createWebGLDebugUI();
   
-  // Set up keyboard controls
-  enhanceKeyboardControls();
-  
   // Export functions globally
   window.toggleDebugMode = toggleDebugMode;
   window.diagnoseWebGLStatus = diagnoseWebGLStatus;
@@ -5,7 +5,16 @@
 function loadGameScripts(callback) {
   var scriptsToLoad = [
     'game/monsters.js',
-    'game/projectiles.js'
+    'game/projectiles.js',
+    'game/levels.js',
+    'game/party.js',
+    'game/combat.js',
+    'game/effects.js',
+    'game/savegame.js',
+    'game/items.js',
+    'game/mechanisms.js',
+    'game/spells.js',
+    'game/progression.js'
   ];
   
   // Keep track of loaded scripts
@@ -31,11 +40,12 @@ function loadGameScripts(callback) {
 // Create global entityManager
 var entityManager; 
 
+// The adventuring party (see party.js)
+var party;
+
 // Game state
 var gameState = {
   level: 1,
-  playerHealth: 100,
-  playerMaxHealth: 100,
   score: 0,
   gameOver: false,
   victory: false
@@ -77,12 +87,8 @@ function setupWorldMapValidation() {
     validateWorldMap();
   }, 2000);
   
-  // Also validate before shooting fireballs
-  const originalShootFireball = shootFireballFromCharacter;
-  window.shootFireballFromCharacter = function(charIndex) {
-    validateWorldMap();
-    return originalShootFireball(charIndex);
-  };
+  // Also validate before casting spells
+  gameEvents.on("spell:casting", () => validateWorldMap());
 }
 
 
@@ -96,41 +102,31 @@ function initGame() {
     return;
   }
   
-  // Check for worldMap
-  if (!window.worldMap) {
-    console.warn("worldMap not found, waiting for engine.js to initialize it...");
-    setTimeout(initGame, 100); // Retry after a delay
-    return;
-  }
-  
   // Create entity manager
   entityManager = new EntityManager();
   
-  // Let the console know initGame is running with worldMap
-  console.log("World map found, continuing initialization...");
-  console.log("World map dimensions:", window.worldMap.length, "x", window.worldMap[0].length);
-  
-  // Add this line to set up the worldMap validation
-  setupWorldMapValidation();
-  
   // Load game components
   loadGameScripts(function() {
     // Once components are loaded, set up the game
     console.log("Game components loaded!");
     
-    // Set up the level
-    loadLevel(gameState.level);
+    // Create the party and hook it up to the portraits
+    party = createDefaultParty();
+    setupPartyPanel(party);
+    setupInventoryPanel(party);
+    setupCharacterSheet(party);
+    
+    // Set up the level (builds worldMap, places the player and spawns entities)
+    if (!loadLevel(gameState.level)) {
+      return;
+    }
+    
+    // Validate the worldMap the level just built
+    setupWorldMapValidation();
     
     // Set up character abilities
     setupCharacterAbilities();
     
-    // Set up test entities
-    try {
-      spawnTestEntities();
-    } catch (e) {
-      console.error("Failed to spawn test entities:", e);
-    }
-    
     // Export update and render functions
     window.updateGame = updateGame;
     window.renderGameEntities = renderGameEntities;
@@ -144,105 +140,141 @@ function initGame() {
 function loadLevel(levelNum) {
   console.log(`Loading level ${levelNum}...`);
   
-  // For now we don't need to do anything as the map is defined in engine.js
+  const level = getLevel(levelNum);
+  if (!level) {
+    console.error(`Level ${levelNum} not found!`);
+    return false;
+  }
+  
+  try {
+    loadLevelData(level, entityManager, window.lightingManager);
+  } catch (e) {
+    console.error(`Failed to load level ${levelNum}:`, e);
+    return false;
+  }
+  
+  if (window.log) window.log(`You enter ${level.name}.`);
+  return true;
 }
 
+// Simulation time at which each character can swing again
+var meleeCooldown = [0, 0, 0, 0];
+
 // Character abilities
 function setupCharacterAbilities() {
-  // Fireball buttons
-  document.getElementById("char1Fireball").onclick = function() { shootFireballFromCharacter(0); };
-  document.getElementById("char2Fireball").onclick = function() { shootFireballFromCharacter(1); };
-  document.getElementById("char3Fireball").onclick = function() { shootFireballFromCharacter(2); };
-  document.getElementById("char4Fireball").onclick = function() { shootFireballFromCharacter(3); };
-}
-
-// Test function to spawn entities for testing
-function spawnTestEntities() {
-  console.log("Spawning test entities...");
-  
-  // Make sure required functions exist
-  if (typeof spawnMonster !== 'function') {
-    console.error("spawnMonster function not found! Monsters not loaded properly.");
-    return;
+  // Melee buttons; the cooldown overlay only runs when a swing actually happened
+  for (let i = 0; i < 4; i++) {
+    const button = document.getElementById(`attack${i + 1}`);
+    if (!button) continue;
+    button.onclick = function() {
+      const cooldown = runPlayerCommand("attack", i);
+      if (cooldown > 0) applyCooldown(button, cooldown);
+    };
   }
   
-  // Spawn a skeleton at position (5.5, 5.5)
-  spawnMonster(entityManager, "skeleton", 5.5, 5.5);
-  spawnMonster(entityManager, "skeleton", 15.5, 12.5);
-  
-  // Spawn an orc at position (8.5, 8.5)
-  spawnMonster(entityManager, "orc", 8.5, 6.5);
-  spawnMonster(entityManager, "orc", 5.5, 14.5);
-	
-  // Spawn a wizard at position (10.5, 3.5)
-  spawnMonster(entityManager, "wizard", 9.5, 4.5);
-  
-  // Add a patrolling spider
-  const patrolPoints = [
-    {x: 15.5, y: 6.5},
-    {x: 15.5, y: 10.5},
-    {x: 12.5, y: 10.5},
-    {x: 12.5, y: 6.5}
-  ];
-  
-  spawnMonster(entityManager, "spider", 15.5, 6.5, {
-    patrolPoints: patrolPoints
-  });
-  
-  console.log("Test entities spawned successfully!");
+
+  // Spell buttons open the character's spell picker; the chosen spell's
+  // cooldown runs on the button
+  for (let i = 0; i < 4; i++) {
+    const button = document.getElementById(`char${i + 1}Spell`);
+    if (!button) continue;
+    button.onclick = function(e) {
+      e.stopPropagation();
+      toggleSpellPicker(i, button, function(spellId) {
+        const cooldown = runPlayerCommand("castSpell", i, spellId);
+        if (cooldown > 0) applyCooldown(button, cooldown);
+      });
+    };
+  }
 }
 
-// Enhanced fireball function that uses the projectile system
-function shootFireballFromCharacter(charIndex) {
+// Cast a spell from a character's spell book (see spells.js). Returns the
+// cooldown (ms) that started, or 0 if nothing was cast.
+function castSpellFromCharacter(charIndex, spellId) {
+  gameEvents.emit("spell:casting", { charIndex: charIndex, spellId: spellId });
+  
   // Make sure we have the player object
   if (!window.player) {
     console.error("Player not defined!");
-    return;
+    return 0;
   }
   
-  // Make sure we have the projectile system
-  if (typeof shootProjectile !== 'function') {
-    console.error("shootProjectile function not found!");
-    return;
+  // No casting while the game is paused
+  if (isGamePaused() || !party) return 0;
+  
+  // Fallen characters can't cast
+  const character = party.getCharacter(charIndex);
+  if (!character) return 0;
+  if (!character.canAct()) {
+    log(`${character.name} is in no condition to cast!`);
+    return 0;
+  }
+  if (isStatusImmobilized(character)) {
+    log(`${character.name} is frozen solid and can't cast!`);
+    return 0;
   }
   
-  // Make sure cooldown variables exist
-  if (!window.fireballCooldown || !window.FIREBALL_COOLDOWN_MS) {
-    console.error("Fireball cooldown variables not found!");
-    return;
+  try {
+    const result = castSpell(character, spellId);
+    log(result.message);
+    return result.success ? getSpellDef(spellId).cooldown : 0;
+  } catch (e) {
+    console.error("Error casting spell:", e);
+    log(`Error casting spell!`);
+    return 0;
   }
+}
+
+// The monster standing in the tile directly ahead of the party, if any
+function getMonsterAhead() {
+  if (!window.player || !entityManager) return null;
   
-  const now = performance.now();
+  const delta = dirDeltas(player.direction);
+  const tileX = Math.floor(player.x) + delta[0];
+  const tileY = Math.floor(player.y) + delta[1];
   
-  // Check cooldown
-  if (now < window.fireballCooldown[charIndex]) {
-    log(`Character ${charIndex+1} can't cast fireball yet! (Cooldown)`);
-    return;
+  return entityManager.getAtTile(tileX, tileY).find(entity =>
+    entity.type === "monster" && entity.active
+  ) || null;
+}
+
+// Melee attack on the monster ahead. Returns the cooldown (ms) that started,
+// or 0 if no swing was made.
+function meleeAttackFromCharacter(charIndex) {
+  if (isGamePaused() || !party) return 0;
+  
+  const character = party.getCharacter(charIndex);
+  if (!character) return 0;
+  
+  if (!character.canAct()) {
+    log(`${character.name} is in no condition to fight!`);
+    return 0;
+  }
+  if (isStatusImmobilized(character)) {
+    log(`${character.name} is frozen solid and can't fight!`);
+    return 0;
+  }
+  if (!canReachMelee(character)) {
+    log(`${character.name} can't reach past the front row without a reach weapon.`);
+    return 0;
   }
   
-  // Set cooldown
-  window.fireballCooldown[charIndex] = now + window.FIREBALL_COOLDOWN_MS;
+  const now = simulationTime();
+  if (now < meleeCooldown[charIndex]) {
+    log(`${character.name} isn't ready to attack yet!`);
+    return 0;
+  }
   
-  try {
-    // Create a projectile using our new system
-    const projectile = shootProjectile(
-      entityManager,
-      "fireball",
-      player,
-      player.angle,
-      {
-        castRay: window.castRay,
-        damage: 10 + (charIndex * 2) // Different damage based on character
-      }
-    );
-    
-    log(`Character ${charIndex+1} cast a fireball!`);
-    return projectile;
-  } catch (e) {
-    console.error("Error shooting fireball:", e);
-    log(`Error casting fireball!`);
-    return null;
+  const monster = getMonsterAhead();
+  if (!monster) {
+    log(`${character.name} has nothing to attack.`);
+    return 0;
   }
+  
+  const cooldown = getMeleeCooldown(character);
+  meleeCooldown[charIndex] = now + cooldown;
+  resolvePartyAttack(character, monster);
+  return cooldown;
 }
 
 // Update all game entities - with guaranteed safe worldMap access
@@ -286,6 +318,20 @@ function updateGame(dt) {
       console.error("Error updating monsters:", e);
     }
     
+    // Tick status effects on monsters and party members
+    try {
+      for (const monster of entityManager.getByType("monster")) {
+        updateStatusEffects(monster, dt);
+      }
+      if (party) {
+        for (const character of party.characters) {
+          updateStatusEffects(character, dt);
+        }
+      }
+    } catch (e) {
+      console.error("Error updating status effects:", e);
+    }
+    
     // Update all projectiles (with extra parameters)
     try {
       const projectiles = entityManager.getByType("projectile");
@@ -293,15 +339,29 @@ function updateGame(dt) {
       for (const projectile of projectiles) {
         if (projectile && typeof projectile.update === 'function') {
           // Always pass the same worldMapCopy - this is crucial
-          projectile.update(dt, entityManager.getAllEntities(), worldMapCopy);
+          projectile.update(dt, entityManager, worldMapCopy);
         }
       }
     } catch (e) {
       console.error("Error updating projectiles:", e);
     }
     
+    // Doors, pressure plates and teleporters
+    try {
+      mechanismManager.update(dt);
+    } catch (e) {
+      console.error("Error updating mechanisms:", e);
+    }
+    
+    // Magic lights follow the party and run out
+    try {
+      updateSpellLights();
+    } catch (e) {
+      console.error("Error updating spell lights:", e);
+    }
+    
     // Check for game over conditions
-    if (gameState.playerHealth <= 0) {
+    if (party && party.isDefeated()) {
       gameState.gameOver = true;
       log("Game Over! You have been defeated.");
     }
@@ -344,6 +404,7 @@ function renderEntitiesOnMinimap(miniCtx, tileSize) {
   
   try {
     entityManager.renderMinimap(miniCtx, tileSize);
+    gameEvents.emit("minimap:drawn", { ctx: miniCtx, tileSize: tileSize });
   } catch (e) {
     console.error("Error in renderEntitiesOnMinimap:", e);
   }
@@ -376,23 +437,6 @@ function setupCooldownButtons() {
     }
   `;
   document.head.appendChild(style);
-  
-  // Apply cooldown effect to fireball buttons
-  document.getElementById("char1Fireball").addEventListener("click", function() {
-    applyCooldown(this, window.FIREBALL_COOLDOWN_MS);
-  });
-  
-  document.getElementById("char2Fireball").addEventListener("click", function() {
-    applyCooldown(this, window.FIREBALL_COOLDOWN_MS);
-  });
-  
-  document.getElementById("char3Fireball").addEventListener("click", function() {
-    applyCooldown(this, window.FIREBALL_COOLDOWN_MS);
-  });
-  
-  document.getElementById("char4Fireball").addEventListener("click", function() {
-    applyCooldown(this, window.FIREBALL_COOLDOWN_MS);
-  });
 }
 
 // Apply cooldown effect to a button
@@ -436,36 +480,27 @@ function applyCooldown(button, duration) {
   }, duration);
 }
 
-// Function to disable firing when in cooldown
+// Function to disable casting when in cooldown
 function getButtonCooldownStatus(characterIndex) {
-  const buttonIds = ["char1Fireball", "char2Fireball", "char3Fireball", "char4Fireball"];
+  const buttonIds = ["char1Spell", "char2Spell", "char3Spell", "char4Spell"];
   const button = document.getElementById(buttonIds[characterIndex]);
   
   if (!button) return false;
   return button.classList.contains('cooldown');
 }
 
-// Update the shootFireballFromCharacter function
-function updateShootFireballFunction() {
-  // With our enhanced function in place, we don't need to replace it
-  console.log("Using enhanced fireball function with proper cooldown checks");
-}
-
 // Initialize cooldown system
 window.addEventListener("load", function() {
   setTimeout(() => {
     setupCooldownButtons();
-    updateShootFireballFunction();
     console.log("Cooldown button system initialized");
   }, 500); // Small delay to ensure other elements are loaded
 });
 
 
-// Initialize game when window loads
-window.addEventListener("load", function() {
-  // Add a small delay to make sure everything is loaded
-  setTimeout(initGame, 100);
-});
+// Initialize the game once the engine components engine.js injects have
+// loaded; the level needs the player, the simulation loop and the lights
+gameEvents.once("engine:ready", initGame);
 
 
 // Attack effect variables
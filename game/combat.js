@@ -0,0 +1,166 @@
+// combat.js - Combat resolution for Might of the Beholder
+// Rolls to-hit and damage for attacks between monsters and the party.
+
+// ==================== CONSTANTS ====================
+// Time between swings (ms) for weapons that don't set their own cooldown
+const MELEE_COOLDOWN_MS = 1500;
+
+// What a character without a weapon fights with
+const UNARMED_ATTACK = { name: "Fists", damage: 2, cooldown: 1000 };
+
+// ==================== DICE ====================
+// Dice use the seeded combat stream (see random.js)
+// Roll a die with the given number of sides (1..sides)
+function rollDie(sides) {
+  return rng.stream("combat").int(1, sides);
+}
+
+// Random integer in [min, max]
+function rollRange(min, max) {
+  return rng.stream("combat").int(min, max);
+}
+
+// ==================== MONSTER ATTACKS ====================
+// Pick who a monster swings at: front row first, back row only once the
+// front row is down. Returns null if nobody is left standing.
+function chooseAttackTarget(party) {
+  const front = party.getRow("front").filter(c => c.canAct());
+  const candidates = front.length > 0 ? front : party.getActive();
+  if (candidates.length === 0) return null;
+
+  return rng.stream("combat").pick(candidates);
+}
+
+// d20 + toHit must beat the armor class; natural 20 always hits, natural 1 always misses
+function rollToHit(toHit, armorClass) {
+  const roll = rollDie(20);
+  return roll === 20 || (roll !== 1 && roll + toHit > armorClass);
+}
+
+// Apply a hit to a character and update the portraits
+function damagePartyMember(party, target, amount, sourceName) {
+  const damage = target.takeDamage(amount);
+
+  if (window.log) {
+    window.log(`${sourceName} hits ${target.name} for ${damage} damage!`);
+    if (!target.isAlive()) {
+      window.log(`${target.name} has been slain!`);
+    } else if (!target.canAct()) {
+      window.log(`${target.name} falls unconscious!`);
+    }
+  }
+
+  if (typeof showPortraitDamage === 'function') {
+    showPortraitDamage(target.index, damage);
+  }
+  party.notifyChanged();
+
+  return damage;
+}
+
+// Attach a status effect (poison, burning...) to a character who was hit
+function applyHitEffect(target, effectType) {
+  if (effectType && target.isAlive() && window.applyStatusEffect) {
+    window.applyStatusEffect(target, effectType);
+  }
+}
+
+// Resolve a monster's melee attack against the party.
+// To hit: d20 + monster toHit must beat the target's armor class.
+// Damage: between half and all of the monster's damage stat.
+function resolveMonsterAttack(monster, party) {
+  const target = chooseAttackTarget(party);
+  if (!target) return { hit: false, target: null, damage: 0 };
+
+  if (!rollToHit(monster.properties.toHit || 0, target.getArmorClass())) {
+    if (window.log) window.log(`${monster.name} attacks ${target.name} and misses.`);
+    return { hit: false, target: target, damage: 0 };
+  }
+
+  const maxDamage = monster.properties.damage;
+  const damage = damagePartyMember(party, target, rollRange(Math.ceil(maxDamage / 2), maxDamage), monster.name);
+  applyHitEffect(target, monster.properties.onHitEffect);
+
+  return { hit: true, target: target, damage: damage };
+}
+
+// Resolve a projectile reaching the party. Uses the shooter's toHit and the
+// projectile's damage, and prefers the front row like melee does.
+function resolveProjectileHit(projectile, party) {
+  const target = chooseAttackTarget(party);
+  if (!target) return { hit: false, target: null, damage: 0 };
+
+  const shooter = projectile.properties.sourceEntity;
+  const toHit = shooter && shooter.properties ? shooter.properties.toHit || 0 : 0;
+
+  if (!rollToHit(toHit, target.getArmorClass())) {
+    if (window.log) window.log(`The ${projectile.name} misses ${target.name}.`);
+    return { hit: false, target: target, damage: 0 };
+  }
+
+  const maxDamage = projectile.properties.damage;
+  const damage = damagePartyMember(party, target, rollRange(Math.ceil(maxDamage / 2), maxDamage), `The ${projectile.name}`);
+  applyHitEffect(target, projectile.statusEffect);
+
+  return { hit: true, target: target, damage: damage };
+}
+
+// ==================== PARTY ATTACKS ====================
+// +1 for every 2 points above 10, -1 for every 2 below
+function attributeBonus(value) {
+  return Math.floor(((value || 10) - 10) / 2);
+}
+
+// The weapon a character swings, or bare fists
+function getMeleeWeapon(character) {
+  const weapon = window.getEquippedWeapon ? window.getEquippedWeapon(character) : null;
+  return weapon || UNARMED_ATTACK;
+}
+
+// Back-row characters can only reach past the front row with a reach weapon
+function canReachMelee(character) {
+  return character.row !== "back" || getMeleeWeapon(character).reach === true;
+}
+
+function getMeleeCooldown(character) {
+  return getMeleeWeapon(character).cooldown || MELEE_COOLDOWN_MS;
+}
+
+// Resolve a party member's melee attack on a monster.
+// To hit: d20 + accuracy bonus + weapon toHit must beat the monster's armor class.
+// Damage: 1..weapon damage plus might bonus, at least 1.
+function resolvePartyAttack(character, monster) {
+  const weapon = getMeleeWeapon(character);
+  const toHit = attributeBonus(character.attributes.accuracy) + (weapon.toHit || 0);
+
+  if (!rollToHit(toHit, monster.properties.armorClass || 10)) {
+    if (window.log) window.log(`${character.name} swings at ${monster.name} and misses.`);
+    return { hit: false, damage: 0, killed: false };
+  }
+
+  const damage = Math.max(1, rollRange(1, weapon.damage) + attributeBonus(character.attributes.might));
+  const killed = monster.takeDamage(damage);
+
+  if (window.log) {
+    const withWeapon = weapon === UNARMED_ATTACK ? "bare-handed" : `with the ${weapon.name}`;
+    window.log(`${character.name} hits ${monster.name} ${withWeapon} for ${damage} damage!`);
+    if (killed) window.log(`${monster.name} has been slain!`);
+  }
+
+  return { hit: true, damage: damage, killed: killed };
+}
+
+// Make functions globally available
+window.rollDie = rollDie;
+window.rollRange = rollRange;
+window.chooseAttackTarget = chooseAttackTarget;
+window.rollToHit = rollToHit;
+window.resolveMonsterAttack = resolveMonsterAttack;
+window.resolveProjectileHit = resolveProjectileHit;
+window.attributeBonus = attributeBonus;
+window.getMeleeWeapon = getMeleeWeapon;
+window.canReachMelee = canReachMelee;
+window.getMeleeCooldown = getMeleeCooldown;
+window.resolvePartyAttack = resolvePartyAttack;
+
+console.log("Combat system loaded successfully!");
@@ -0,0 +1,303 @@
+// effects.js - Status effects for Might of the Beholder
+// Timed effects (frozen, poisoned, burning, slowed) that attach to monsters
+// and party characters. Each effect type has onApply/onTick/onExpire hooks and
+// a stacking rule that decides what happens when it is applied again.
+
+// ==================== STACKING RULES ====================
+// refresh - reset the remaining time
+// extend  - add the new duration to the remaining time
+// stack   - add a stack (up to maxStacks) and reset the remaining time
+// ignore  - keep the existing effect untouched
+const STACKING = {
+  REFRESH: "refresh",
+  EXTEND: "extend",
+  STACK: "stack",
+  IGNORE: "ignore"
+};
+
+// ==================== EFFECT TYPES ====================
+const STATUS_EFFECT_TYPES = {
+  frozen: {
+    name: "Frozen",
+    color: "#0EF",
+    duration: 3000,
+    stacking: STACKING.REFRESH,
+    onApply(target) {
+      logStatus(`${targetName(target)} is frozen solid!`);
+    },
+    onExpire(target) {
+      logStatus(`${targetName(target)} thaws out.`);
+      // Still stiff for a moment after the ice breaks
+      applyStatusEffect(target, "slowed", { duration: 2000 });
+    }
+  },
+
+  poisoned: {
+    name: "Poisoned",
+    color: "#6C3",
+    duration: 10000,
+    tickInterval: 1000,
+    damage: 1,
+    stacking: STACKING.STACK,
+    maxStacks: 3,
+    onApply(target) {
+      if (target instanceof Character) target.addCondition(CONDITIONS.POISONED);
+      logStatus(`${targetName(target)} is poisoned!`);
+    },
+    onTick(target, effect) {
+      damageStatusTarget(target, effect.damage * effect.stacks);
+    },
+    onExpire(target) {
+      if (target instanceof Character) target.removeCondition(CONDITIONS.POISONED);
+      logStatus(`${targetName(target)} recovers from the poison.`);
+    }
+  },
+
+  burning: {
+    name: "Burning",
+    color: "#F80",
+    duration: 3000,
+    tickInterval: 500,
+    damage: 2,
+    stacking: STACKING.EXTEND,
+    maxDuration: 6000,
+    onApply(target) {
+      logStatus(`${targetName(target)} catches fire!`);
+    },
+    onTick(target, effect) {
+      damageStatusTarget(target, effect.damage);
+    }
+  },
+
+  slowed: {
+    name: "Slowed",
+    color: "#99F",
+    duration: 4000,
+    speedMultiplier: 0.5,
+    stacking: STACKING.REFRESH,
+    onApply(target) {
+      refreshStatusSpeed(target);
+    },
+    onExpire(target) {
+      refreshStatusSpeed(target);
+    }
+  }
+};
+
+// ==================== STATUS EFFECT ====================
+// One active effect on one target
+class StatusEffect {
+  constructor(type, options = {}) {
+    const definition = STATUS_EFFECT_TYPES[type];
+
+    this.type = type;
+    this.definition = definition;
+    this.name = definition.name;
+    this.duration = options.duration || definition.duration;
+    this.remaining = this.duration;
+    this.stacks = 1;
+    this.damage = options.damage !== undefined ? options.damage : (definition.damage || 0);
+    this.source = options.source || null;
+
+    // Time until the next onTick call
+    this.tickTimer = definition.tickInterval || 0;
+  }
+
+  // Apply the same effect again according to its stacking rule
+  reapply(options = {}) {
+    const definition = this.definition;
+    const duration = options.duration || definition.duration;
+
+    switch (definition.stacking) {
+      case STACKING.EXTEND:
+        this.remaining = Math.min(this.remaining + duration, definition.maxDuration || Infinity);
+        break;
+      case STACKING.STACK:
+        this.stacks = Math.min(this.stacks + 1, definition.maxStacks || Infinity);
+        this.remaining = Math.max(this.remaining, duration);
+        break;
+      case STACKING.IGNORE:
+        break;
+      default:
+        this.remaining = Math.max(this.remaining, duration);
+        break;
+    }
+  }
+
+  // Advance the timers. Returns false once the effect has run out.
+  update(target, dt) {
+    const interval = this.definition.tickInterval;
+    if (interval && this.definition.onTick) {
+      this.tickTimer -= dt;
+      while (this.tickTimer <= 0 && this.remaining > 0 && isStatusTargetAlive(target)) {
+        this.definition.onTick(target, this);
+        this.tickTimer += interval;
+      }
+    }
+
+    this.remaining -= dt;
+    return this.remaining > 0;
+  }
+
+  // Short label for health bars and portraits
+  getLabel() {
+    return this.stacks > 1 ? `${this.name} x${this.stacks}` : this.name;
+  }
+}
+
+// ==================== EFFECT MANAGEMENT ====================
+// Add (or re-apply) an effect on a monster or character
+function applyStatusEffect(target, type, options = {}) {
+  if (!target || !STATUS_EFFECT_TYPES[type]) return null;
+  if (!isStatusTargetAlive(target)) return null;
+
+  if (!target.statusEffects) target.statusEffects = [];
+
+  let effect = getStatusEffect(target, type);
+  if (effect) {
+    effect.reapply(options);
+  } else {
+    effect = new StatusEffect(type, options);
+    target.statusEffects.push(effect);
+    if (effect.definition.onApply) effect.definition.onApply(target, effect);
+  }
+
+  notifyStatusChange(target);
+  return effect;
+}
+
+// Remove an effect early (cures, dispels), running its onExpire hook
+function removeStatusEffect(target, type) {
+  const effect = getStatusEffect(target, type);
+  if (!effect) return false;
+
+  target.statusEffects = target.statusEffects.filter(e => e !== effect);
+  if (effect.definition.onExpire) effect.definition.onExpire(target, effect);
+
+  notifyStatusChange(target);
+  return true;
+}
+
+function getStatusEffect(target, type) {
+  if (!target || !target.statusEffects) return null;
+  return target.statusEffects.find(effect => effect.type === type) || null;
+}
+
+function hasStatusEffect(target, type) {
+  return getStatusEffect(target, type) !== null;
+}
+
+// Tick every effect on a target and expire the ones that ran out
+function updateStatusEffects(target, dt) {
+  if (!target || !target.statusEffects || target.statusEffects.length === 0) return;
+
+  // Effects stop with their target
+  if (!isStatusTargetAlive(target)) {
+    target.statusEffects = [];
+    notifyStatusChange(target);
+    return;
+  }
+
+  const expired = [];
+  for (const effect of target.statusEffects.slice()) {
+    if (!effect.update(target, dt)) {
+      expired.push(effect);
+    }
+  }
+
+  if (expired.length === 0) return;
+
+  target.statusEffects = target.statusEffects.filter(effect => !expired.includes(effect));
+  for (const effect of expired) {
+    if (effect.definition.onExpire) effect.definition.onExpire(target, effect);
+  }
+  notifyStatusChange(target);
+}
+
+// Frozen targets can neither move nor attack
+function isStatusImmobilized(target) {
+  return hasStatusEffect(target, "frozen");
+}
+
+// Combined speed multiplier of every active effect
+function getStatusSpeedMultiplier(target) {
+  if (!target || !target.statusEffects) return 1;
+  return target.statusEffects.reduce((multiplier, effect) =>
+    multiplier * (effect.definition.speedMultiplier || 1), 1);
+}
+
+// Labels for every active effect, for health bars and portraits
+function getStatusLabels(target) {
+  if (!target || !target.statusEffects) return [];
+  return target.statusEffects.map(effect => ({
+    text: effect.getLabel(),
+    color: effect.definition.color
+  }));
+}
+
+// ==================== HELPERS ====================
+// Monsters keep speed in properties, characters in their attributes.
+// The unslowed value is remembered the first time an effect changes it.
+function refreshStatusSpeed(target) {
+  const stats = target instanceof Character ? target.attributes : target.properties;
+  if (!stats || stats.speed === undefined) return;
+
+  if (target.baseSpeed === undefined) target.baseSpeed = stats.speed;
+  stats.speed = target.baseSpeed * getStatusSpeedMultiplier(target);
+}
+
+function isStatusTargetAlive(target) {
+  if (target instanceof Character) return target.isAlive();
+  return target.active !== false && (!target.properties || target.properties.health > 0);
+}
+
+// Damage over time bypasses to-hit rolls
+function damageStatusTarget(target, amount) {
+  if (amount <= 0) return;
+
+  if (target instanceof Character) {
+    const damage = target.takeDamage(amount);
+    if (typeof showPortraitDamage === 'function') {
+      showPortraitDamage(target.index, damage);
+    }
+    if (!target.isAlive()) {
+      logStatus(`${target.name} has been slain!`);
+    } else if (!target.canAct()) {
+      logStatus(`${target.name} falls unconscious!`);
+    }
+  } else if (typeof target.takeDamage === 'function') {
+    if (target.takeDamage(amount)) {
+      logStatus(`${targetName(target)} succumbs!`);
+    }
+  }
+  notifyStatusChange(target);
+}
+
+// Characters redraw through the party's change listeners
+function notifyStatusChange(target) {
+  if (target instanceof Character && window.party) {
+    window.party.notifyChanged();
+  }
+}
+
+function targetName(target) {
+  return target.name || "Entity";
+}
+
+function logStatus(message) {
+  console.log(message);
+  if (window.log) window.log(message);
+}
+
+// Make functions globally available
+window.STATUS_EFFECT_TYPES = STATUS_EFFECT_TYPES;
+window.StatusEffect = StatusEffect;
+window.applyStatusEffect = applyStatusEffect;
+window.removeStatusEffect = removeStatusEffect;
+window.hasStatusEffect = hasStatusEffect;
+window.updateStatusEffects = updateStatusEffects;
+window.isStatusImmobilized = isStatusImmobilized;
+window.getStatusSpeedMultiplier = getStatusSpeedMultiplier;
+window.getStatusLabels = getStatusLabels;
+
+console.log("Status effect system loaded successfully!");
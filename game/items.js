@@ -0,0 +1,641 @@
+// items.js - Items and inventories for Might of the Beholder
+// Ground items are entities that render as billboards; once picked up they live
+// in a character's backpack or equip slots as small plain objects
+// ({ itemType, charges }) so they can be saved and moved between characters.
+
+// Item type definitions
+const ITEM_TYPES = {
+  // Weapons (damage is the top of the melee damage roll, cooldown the ms
+  // between swings)
+  dagger: {
+    name: "Dagger",
+    category: "weapon",
+    slot: "weapon",
+    damage: 4,
+    toHit: 1,
+    cooldown: 900,
+    color: "#BBB"
+  },
+
+  longsword: {
+    name: "Longsword",
+    category: "weapon",
+    slot: "weapon",
+    damage: 8,
+    cooldown: 1500,
+    color: "#DDD"
+  },
+
+  spear: {
+    name: "Spear",
+    category: "weapon",
+    slot: "weapon",
+    damage: 6,
+    cooldown: 1600,
+    reach: true, // Can strike from the back row
+    color: "#A86"
+  },
+
+  quarterstaff: {
+    name: "Quarterstaff",
+    category: "weapon",
+    slot: "weapon",
+    damage: 4,
+    cooldown: 1400,
+    reach: true,
+    spellDamage: 2,
+    color: "#864"
+  },
+
+  // Armor
+  leatherArmor: {
+    name: "Leather Armor",
+    category: "armor",
+    slot: "armor",
+    armorBonus: 2,
+    color: "#962"
+  },
+
+  chainMail: {
+    name: "Chain Mail",
+    category: "armor",
+    slot: "armor",
+    armorBonus: 4,
+    color: "#999"
+  },
+
+  woodenShield: {
+    name: "Wooden Shield",
+    category: "armor",
+    slot: "shield",
+    armorBonus: 2,
+    color: "#A73"
+  },
+
+  ringOfFire: {
+    name: "Ring of Fire",
+    category: "armor",
+    slot: "accessory",
+    spellDamage: 4,
+    color: "#F60"
+  },
+
+  // Potions
+  healingPotion: {
+    name: "Healing Potion",
+    category: "potion",
+    heal: 15,
+    color: "#E22"
+  },
+
+  manaPotion: {
+    name: "Mana Potion",
+    category: "potion",
+    restoreSp: 10,
+    color: "#22E"
+  },
+
+  // Scrolls cast their spell once and crumble
+  scrollOfFire: {
+    name: "Scroll of Fire",
+    category: "scroll",
+    spell: "fireball",
+    damage: 12,
+    color: "#FD8"
+  },
+
+  // Keys open the door with the matching keyId
+  ironKey: {
+    name: "Iron Key",
+    category: "key",
+    keyId: "iron",
+    color: "#778"
+  },
+
+  // Wands cast their spell until the charges run out
+  wandOfFrost: {
+    name: "Wand of Frost",
+    category: "wand",
+    spell: "iceBolt",
+    damage: 8,
+    charges: 5,
+    color: "#8EF"
+  }
+};
+
+// Equip slots every character has
+const EQUIP_SLOTS = ["weapon", "armor", "shield", "accessory"];
+
+// Backpack size per character
+const INVENTORY_SIZE = 8;
+
+// Ground items closer than this show their name
+const ITEM_LABEL_RANGE = 2.0;
+
+// ==================== ITEM ENTITY ====================
+// An item lying on the floor
+class Item extends Entity {
+  constructor(type, x, y, properties = {}) {
+    const itemStats = ITEM_TYPES[type] || ITEM_TYPES.healingPotion;
+
+    super("item", x, y, {
+      sprite: itemStats.sprite || null,
+      width: 0.3,
+      height: 0.3,
+      solid: false,
+      interactive: true,
+      itemType: type,
+      charges: itemStats.charges,
+      ...properties
+    });
+
+    this.itemType = type;
+    this.name = itemStats.name;
+    this.color = itemStats.color;
+  }
+
+  // Convert to the backpack representation
+  toInventoryItem() {
+    return createInventoryItem(this.itemType, this.properties.charges);
+  }
+
+  // Interacting with an item on the floor picks it up
+  interact(player) {
+    return pickUpItem(this);
+  }
+
+  render(ctx, player, screenW, screenH, fov, castRay) {
+    if (!this.visible || !this.active) return;
+    if (!ctx || !player || !screenW || !screenH || !fov || !castRay) return;
+
+    // Calculate vector from player to item
+    const dx = this.x - player.x;
+    const dy = this.y - player.y;
+    const distance = Math.sqrt(dx*dx + dy*dy);
+    if (distance < 0.2) return;
+
+    // Calculate angle difference
+    const angle = Math.atan2(dy, dx);
+    let angleDiff = angle - player.angle;
+    while (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
+    while (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
+
+    // Only display if within field of view
+    if (Math.abs(angleDiff) > fov/2) return;
+
+    // Check for wall occlusion
+    const ray = castRay(player.x, player.y, angle);
+    if (ray.distance < distance - 0.1) return;
+
+    // Calculate screen position and size
+    const screenX = screenW / 2 + (angleDiff / (fov/2)) * (screenW / 2);
+    const scale = 1.0 / distance;
+    const size = this.width * scale * screenH * 0.5;
+
+    // Items lie on the floor: the bottom of the billboard sits on the floor line
+    const floorY = screenH / 2 + scale * screenH * 0.25;
+    const screenY = floorY - size;
+
+    ctx.fillStyle = this.color || "yellow";
+    ctx.fillRect(screenX - size / 2, screenY, size, size);
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(screenX - size / 2, screenY, size, size);
+
+    // Name the item when the party is close enough to pick it up
+    if (distance <= ITEM_LABEL_RANGE) {
+      ctx.fillStyle = "white";
+      ctx.font = "12px Arial";
+      ctx.textAlign = "center";
+      ctx.fillText(this.name, screenX, screenY - 5);
+    }
+  }
+
+  renderMinimap(ctx, tileSize) {
+    if (!this.active) return;
+
+    ctx.fillStyle = this.color || "yellow";
+    ctx.fillRect(this.x * tileSize - tileSize / 6, this.y * tileSize - tileSize / 6, tileSize / 3, tileSize / 3);
+  }
+}
+
+// Factory function for creating items
+function createItem(type, x, y, properties = {}) {
+  return new Item(type, x, y, properties);
+}
+
+// Function to drop an item at a specific position
+function spawnItem(entityManager, type, x, y, properties = {}) {
+  if (!ITEM_TYPES[type]) {
+    console.warn(`Unknown item type "${type}"`);
+    return null;
+  }
+  const item = createItem(type, x, y, properties);
+  entityManager.add(item);
+  return item;
+}
+
+// ==================== INVENTORIES ====================
+// Backpack/equip slot representation of an item
+function createInventoryItem(type, charges) {
+  const item = { itemType: type };
+  const itemStats = ITEM_TYPES[type];
+  if (itemStats && itemStats.charges !== undefined) {
+    item.charges = charges !== undefined ? charges : itemStats.charges;
+  }
+  return item;
+}
+
+function getItemDef(item) {
+  return item ? ITEM_TYPES[item.itemType] || null : null;
+}
+
+// Display name, with charges for wands
+function getItemLabel(item) {
+  const itemStats = getItemDef(item);
+  if (!itemStats) return "???";
+  return item.charges !== undefined ? `${itemStats.name} (${item.charges})` : itemStats.name;
+}
+
+// Put an item in a character's backpack. Returns false if it is full.
+function giveItem(character, item) {
+  if (character.inventory.length >= INVENTORY_SIZE) return false;
+  character.inventory.push(item);
+  return true;
+}
+
+function removeInventoryItem(character, index) {
+  if (index < 0 || index >= character.inventory.length) return null;
+  return character.inventory.splice(index, 1)[0];
+}
+
+// Move a backpack item into its equip slot, swapping out whatever was there
+function equipItem(character, index) {
+  const item = character.inventory[index];
+  const itemStats = getItemDef(item);
+  if (!itemStats || !itemStats.slot) return false;
+
+  removeInventoryItem(character, index);
+  const previous = character.equipment[itemStats.slot];
+  character.equipment[itemStats.slot] = item;
+  if (previous) character.inventory.push(previous);
+
+  logItem(`${character.name} equips the ${itemStats.name}.`);
+  return true;
+}
+
+// Move an equipped item back into the backpack
+function unequipItem(character, slot) {
+  const item = character.equipment[slot];
+  if (!item) return false;
+  if (character.inventory.length >= INVENTORY_SIZE) {
+    logItem(`${character.name}'s backpack is full!`);
+    return false;
+  }
+
+  character.equipment[slot] = null;
+  character.inventory.push(item);
+  logItem(`${character.name} unequips the ${getItemDef(item).name}.`);
+  return true;
+}
+
+// Sum a stat (armorBonus, spellDamage...) over everything a character has equipped
+function getEquipmentBonus(character, stat) {
+  if (!character || !character.equipment) return 0;
+  let total = 0;
+  for (const slot of EQUIP_SLOTS) {
+    const itemStats = getItemDef(character.equipment[slot]);
+    if (itemStats && itemStats[stat]) total += itemStats[stat];
+  }
+  return total;
+}
+
+function getEquippedWeapon(character) {
+  return getItemDef(character.equipment.weapon);
+}
+
+// Hand a backpack item to another character
+function transferItem(fromCharacter, index, toCharacter) {
+  if (fromCharacter === toCharacter) return false;
+
+  const item = fromCharacter.inventory[index];
+  if (!item) return false;
+  if (!giveItem(toCharacter, item)) {
+    logItem(`${toCharacter.name}'s backpack is full!`);
+    return false;
+  }
+
+  removeInventoryItem(fromCharacter, index);
+  logItem(`${fromCharacter.name} hands the ${getItemDef(item).name} to ${toCharacter.name}.`);
+  return true;
+}
+
+// Put a backpack item on the floor where the party stands
+function dropItem(character, index) {
+  const item = removeInventoryItem(character, index);
+  if (!item) return null;
+
+  const x = Math.floor(player.x) + 0.5;
+  const y = Math.floor(player.y) + 0.5;
+  logItem(`${character.name} drops the ${getItemDef(item).name}.`);
+  return spawnItem(entityManager, item.itemType, x, y, { charges: item.charges });
+}
+
+// Use a backpack item: drink potions, read scrolls, zap wands, equip gear
+function useItem(character, index) {
+  const item = character.inventory[index];
+  const itemStats = getItemDef(item);
+  if (!itemStats) return false;
+
+  if (!character.canAct()) {
+    logItem(`${character.name} is in no condition to do that!`);
+    return false;
+  }
+
+  switch (itemStats.category) {
+    case "weapon":
+    case "armor":
+      return equipItem(character, index);
+
+    case "potion": {
+      removeInventoryItem(character, index);
+      if (itemStats.heal) {
+        const healed = character.heal(itemStats.heal);
+        logItem(`${character.name} drinks the ${itemStats.name} and recovers ${healed} HP.`);
+      }
+      if (itemStats.restoreSp) {
+        const before = character.sp;
+        character.sp = Math.min(character.maxSp, character.sp + itemStats.restoreSp);
+        logItem(`${character.name} drinks the ${itemStats.name} and recovers ${character.sp - before} SP.`);
+      }
+      return true;
+    }
+
+    case "scroll":
+      if (castItemSpell(character, itemStats)) {
+        removeInventoryItem(character, index);
+        logItem(`The ${itemStats.name} crumbles to dust.`);
+        return true;
+      }
+      return false;
+
+    case "wand":
+      if (item.charges <= 0) {
+        logItem(`The ${itemStats.name} fizzles. It has no charges left.`);
+        return false;
+      }
+      if (castItemSpell(character, itemStats)) {
+        item.charges--;
+        return true;
+      }
+      return false;
+
+    case "key":
+      logItem(`${character.name} holds up the ${itemStats.name}. Find a door to use it on.`);
+      return false;
+  }
+  return false;
+}
+
+// Fire a scroll or wand spell from the party
+function castItemSpell(character, itemStats) {
+  if (typeof castSpell !== 'function') return false;
+
+  const result = castSpell(character, itemStats.spell, { free: true, damage: itemStats.damage });
+  if (!result.success) {
+    logItem(result.message);
+    return false;
+  }
+  logItem(`${character.name} uses the ${itemStats.name}!`);
+  return true;
+}
+
+// ==================== PICKUP ====================
+// Ground items on the party's tile or the tile straight ahead
+function getReachableItems() {
+  if (!window.entityManager || !window.player) return [];
+
+  const [dx, dy] = dirDeltas(player.direction);
+  const tileX = Math.floor(player.x);
+  const tileY = Math.floor(player.y);
+
+  return entityManager.getAtTile(tileX, tileY)
+    .concat(entityManager.getAtTile(tileX + dx, tileY + dy))
+    .filter(entity => entity.type === "item" && entity.active);
+}
+
+// Pick up everything in reach, handing each item to the first character with room
+function pickUpItems() {
+  if (!party) return 0;
+
+  const items = getReachableItems();
+  if (items.length === 0) {
+    logItem("There is nothing here to pick up.");
+    return 0;
+  }
+
+  let pickedUp = 0;
+  for (const item of items) {
+    const result = pickUpItem(item);
+    logItem(result.message);
+    if (!result.success) break;
+    pickedUp++;
+  }
+
+  return pickedUp;
+}
+
+// Move one floor item into the first backpack with room.
+// Returns { success, message } like Entity.interact.
+function pickUpItem(item) {
+  const receiver = party ? party.getActive().find(c => c.inventory.length < INVENTORY_SIZE) : null;
+  if (!receiver) {
+    return { success: false, message: "Everyone's backpack is full!" };
+  }
+
+  giveItem(receiver, item.toInventoryItem());
+  entityManager.remove(item.id);
+  party.notifyChanged();
+  return { success: true, message: `${receiver.name} picks up the ${item.name}.` };
+}
+
+function logItem(message) {
+  console.log(message);
+  if (window.log) window.log(message);
+}
+
+// ==================== INVENTORY PANEL ====================
+// One column per character: equip slots on top, backpack below.
+// Click an item to use/equip it, shift+click to drop it, and drag it onto a
+// portrait or another column to hand it over.
+function setupInventoryPanel(party) {
+  if (document.getElementById("inventoryPanel")) return;
+
+  const panel = document.createElement("div");
+  panel.id = "inventoryPanel";
+  panel.style.position = "fixed";
+  panel.style.left = "50%";
+  panel.style.bottom = "10px";
+  panel.style.transform = "translateX(-50%)";
+  panel.style.display = "none";
+  panel.style.gap = "10px";
+  panel.style.backgroundColor = "rgba(0, 0, 0, 0.85)";
+  panel.style.color = "white";
+  panel.style.padding = "10px";
+  panel.style.borderRadius = "5px";
+  panel.style.fontFamily = "Arial, sans-serif";
+  panel.style.fontSize = "12px";
+  panel.style.zIndex = "1000";
+  document.body.appendChild(panel);
+
+  // Portraits accept dropped items too
+  document.querySelectorAll("#characterPanel .portrait").forEach((portrait, index) => {
+    makeItemDropTarget(portrait, party, index);
+  });
+
+  party.onChange(function() {
+    if (isInventoryPanelOpen()) renderInventoryPanel(party);
+  });
+}
+
+// Accept items dragged from the inventory panel
+function makeItemDropTarget(element, party, charIndex) {
+  element.addEventListener("dragover", function(e) {
+    e.preventDefault();
+    element.style.outline = "2px solid #FD8";
+  });
+  element.addEventListener("dragleave", function() {
+    element.style.outline = "";
+  });
+  element.addEventListener("drop", function(e) {
+    e.preventDefault();
+    element.style.outline = "";
+
+    let source = null;
+    try {
+      source = JSON.parse(e.dataTransfer.getData("text/plain"));
+    } catch (err) {
+      return;
+    }
+    if (!source || source.charIndex === undefined) return;
+
+    if (party.getCharacter(source.charIndex) && party.getCharacter(charIndex)) {
+      runPlayerCommand("transferItem", source.charIndex, source.index, charIndex);
+    }
+  });
+}
+
+function isInventoryPanelOpen() {
+  const panel = document.getElementById("inventoryPanel");
+  return !!panel && panel.style.display !== "none";
+}
+
+function toggleInventoryPanel() {
+  const panel = document.getElementById("inventoryPanel");
+  if (!panel || !party) return;
+
+  if (isInventoryPanelOpen()) {
+    panel.style.display = "none";
+  } else {
+    panel.style.display = "flex";
+    renderInventoryPanel(party);
+  }
+}
+
+// Rebuild the panel from the party model
+function renderInventoryPanel(party) {
+  const panel = document.getElementById("inventoryPanel");
+  if (!panel) return;
+  panel.innerHTML = "";
+
+  party.characters.forEach((character, charIndex) => {
+    const column = document.createElement("div");
+    column.style.width = "140px";
+    column.style.padding = "5px";
+    column.style.border = "1px solid #444";
+    column.style.borderRadius = "3px";
+    makeItemDropTarget(column, party, charIndex);
+
+    const title = document.createElement("div");
+    title.textContent = character.name;
+    title.style.fontWeight = "bold";
+    title.style.marginBottom = "5px";
+    column.appendChild(title);
+
+    // Equip slots
+    for (const slot of EQUIP_SLOTS) {
+      const item = character.equipment[slot];
+      const row = document.createElement("div");
+      row.textContent = `${slot}: ${item ? getItemLabel(item) : "-"}`;
+      row.style.color = item ? getItemDef(item).color : "#777";
+      row.style.cursor = item ? "pointer" : "default";
+      row.title = item ? "Click to unequip" : "";
+      row.onclick = function() {
+        if (item) runPlayerCommand("unequipItem", charIndex, slot);
+      };
+      column.appendChild(row);
+    }
+
+    // Backpack
+    const backpack = document.createElement("div");
+    backpack.style.marginTop = "5px";
+    backpack.style.borderTop = "1px solid #444";
+    backpack.style.paddingTop = "5px";
+    character.inventory.forEach((item, index) => {
+      backpack.appendChild(createInventoryChip(party, character, charIndex, item, index));
+    });
+    for (let i = character.inventory.length; i < INVENTORY_SIZE; i++) {
+      const empty = document.createElement("div");
+      empty.textContent = "·";
+      empty.style.color = "#444";
+      backpack.appendChild(empty);
+    }
+    column.appendChild(backpack);
+
+    panel.appendChild(column);
+  });
+}
+
+// One draggable backpack entry
+function createInventoryChip(party, character, charIndex, item, index) {
+  const chip = document.createElement("div");
+  chip.textContent = getItemLabel(item);
+  chip.style.color = getItemDef(item) ? getItemDef(item).color : "white";
+  chip.style.cursor = "grab";
+  chip.title = "Click to use, shift+click to drop, drag to another character";
+  chip.draggable = true;
+
+  chip.addEventListener("dragstart", function(e) {
+    e.dataTransfer.setData("text/plain", JSON.stringify({ charIndex: charIndex, index: index }));
+    e.dataTransfer.effectAllowed = "move";
+  });
+
+  chip.onclick = function(e) {
+    runPlayerCommand(e.shiftKey ? "dropItem" : "useItem", charIndex, index);
+  };
+
+  return chip;
+}
+
+// Make functions globally available
+window.ITEM_TYPES = ITEM_TYPES;
+window.EQUIP_SLOTS = EQUIP_SLOTS;
+window.Item = Item;
+window.createItem = createItem;
+window.spawnItem = spawnItem;
+window.createInventoryItem = createInventoryItem;
+window.getItemDef = getItemDef;
+window.giveItem = giveItem;
+window.equipItem = equipItem;
+window.unequipItem = unequipItem;
+window.getEquipmentBonus = getEquipmentBonus;
+window.getEquippedWeapon = getEquippedWeapon;
+window.transferItem = transferItem;
+window.dropItem = dropItem;
+window.useItem = useItem;
+window.pickUpItems = pickUpItems;
+window.pickUpItem = pickUpItem;
+window.setupInventoryPanel = setupInventoryPanel;
+window.toggleInventoryPanel = toggleInventoryPanel;
+
+console.log("Item system loaded successfully!");
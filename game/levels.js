@@ -0,0 +1,418 @@
+// levels.js - Level definitions and loader for Might of the Beholder
+// Levels are plain JSON-compatible objects so designers can author them by hand
+// or export them from a tool without touching any engine code.
+
+// ==================== LEVEL FORMAT ====================
+// {
+//   "name": "Level name shown in the log",
+//
+//   // Tile grid, one string per row, one digit per tile (see TILE_TYPES).
+//   // The outer border must be walls.
+//   "tiles": [
+//     "11111",
+//     "10001",
+//     "11111"
+//   ],
+//
+//   // ...or an ASCII map (one string per row, or a single multi-line string)
+//   // with an optional legend merged over DEFAULT_MAP_LEGEND. Use either
+//   // "tiles" or "ascii", not both. See parseAsciiMap() below.
+//   "ascii": [
+//     "#####",
+//     "#@.S#",
+//     "#####"
+//   ],
+//   "legend": { "@": { "tile": 0, "player": "E" } },
+//
+//   // Player start in tile coordinates. Facing is one of "N", "E", "S", "W".
+//   // Not needed when the ASCII map has a player glyph.
+//   "player": { "x": 1, "y": 1, "facing": "E" },
+//
+//   // Monster spawns. "type" is a key of MONSTER_TYPES, "patrol" is an optional
+//   // list of tile coordinates the monster walks between. Monster glyphs in the
+//   // ASCII map are added to this list.
+//   "monsters": [
+//     { "type": "spider", "x": 3, "y": 1, "patrol": [{ "x": 3, "y": 1 }, { "x": 1, "y": 1 }] }
+//   ],
+//
+//   // Light placements. "type" is "point", "spot" or "ambient", every other key
+//   // is passed straight to the Light constructor (color, intensity, radius...).
+//   "lights": [
+//     { "type": "point", "x": 2, "y": 1, "color": "#ff9933", "radius": 4, "flickerEnabled": true }
+//   ],
+//
+//   // Items lying on the floor when the level starts. "item" is an item type key.
+//   "items": [
+//     { "item": "healingPotion", "x": 2, "y": 1 }
+//   ],
+//
+//   // Settings for interactive tiles (see mechanisms.js). Each entry must sit on
+//   // a tile of the matching type; tiles without an entry get the defaults
+//   // (closed unlocked door, lever/plate with no targets).
+//   //   door:       "locked", "keyId" (item keyId that opens it; locked doors
+//   //               without one only open from a lever or plate), "open"
+//   //   lever:      "targets" - doors to open/close and secret walls to reveal
+//   //   plate:      "targets", "hold" (false = stays triggered once stepped on)
+//   //   teleporter: "to" - { x, y, facing }
+//   "mechanisms": [
+//     { "type": "door", "x": 3, "y": 1, "locked": true, "keyId": "iron" },
+//     { "type": "lever", "x": 1, "y": 0, "targets": [{ "x": 3, "y": 1 }] }
+//   ]
+// }
+//
+// All x/y values are tile coordinates; the loader places things in the tile centre.
+
+// Tile ids used in the tile grid
+const TILE_TYPES = {
+  FLOOR: 0,
+  WALL: 1,
+  EXIT: 2,
+  DOOR: 3,
+  SECRET_WALL: 4,
+  LEVER: 5,
+  PRESSURE_PLATE: 6,
+  TELEPORTER: 7
+};
+
+// How each tile type behaves. Walkable tiles can be stood on, opaque ones stop
+// rays. Doors are opaque and blocked until opened; "mechanism" names the state
+// object mechanisms.js keeps for the tile.
+const TILE_PROPERTIES = {
+  [TILE_TYPES.FLOOR]: { walkable: true, opaque: false },
+  [TILE_TYPES.WALL]: { walkable: false, opaque: true },
+  [TILE_TYPES.EXIT]: { walkable: false, opaque: true },
+  [TILE_TYPES.DOOR]: { walkable: false, opaque: true, mechanism: "door" },
+  [TILE_TYPES.SECRET_WALL]: { walkable: false, opaque: true },
+  [TILE_TYPES.LEVER]: { walkable: false, opaque: true, mechanism: "lever" },
+  [TILE_TYPES.PRESSURE_PLATE]: { walkable: true, opaque: false, mechanism: "plate" },
+  [TILE_TYPES.TELEPORTER]: { walkable: true, opaque: false, mechanism: "teleporter" }
+};
+
+// Properties for a tile id; unknown ids behave like walls
+function getTileProperties(tile) {
+  return TILE_PROPERTIES[tile] || TILE_PROPERTIES[TILE_TYPES.WALL];
+}
+
+// Facing letters to player direction (0=N, 1=E, 2=S, 3=W)
+const FACING_TO_DIRECTION = { N: 0, E: 1, S: 2, W: 3 };
+
+// Light type names used in level files
+const LEVEL_LIGHT_TYPES = {
+  ambient: 0, // LightType.AMBIENT
+  point: 1,   // LightType.POINT
+  spot: 3     // LightType.SPOT
+};
+
+// ==================== ASCII MAPS ====================
+// Glyphs every ASCII map understands. A legend entry has a "tile" id and can
+// also mark the player start ("player": facing) or a monster spawn ("monster": type).
+const DEFAULT_MAP_LEGEND = {
+  "#": { tile: TILE_TYPES.WALL },
+  ".": { tile: TILE_TYPES.FLOOR },
+  "X": { tile: TILE_TYPES.EXIT },
+  "D": { tile: TILE_TYPES.DOOR },
+  "%": { tile: TILE_TYPES.SECRET_WALL },
+  "L": { tile: TILE_TYPES.LEVER },
+  "_": { tile: TILE_TYPES.PRESSURE_PLATE },
+  "T": { tile: TILE_TYPES.TELEPORTER },
+  "@": { tile: TILE_TYPES.FLOOR, player: "N" },
+  "S": { tile: TILE_TYPES.FLOOR, monster: "skeleton" }
+};
+
+// Error thrown for malformed ASCII maps, with the 1-based position of the problem
+class MapParseError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = "MapParseError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Parse an ASCII map into a worldMap 2D array plus the player start and monster
+// spawns found in it. Source is a multi-line string or an array of row strings.
+// Blank lines before and after the map are ignored but still count for line numbers.
+function parseAsciiMap(source, legend = {}) {
+  const glyphs = { ...DEFAULT_MAP_LEGEND, ...legend };
+  const lines = Array.isArray(source) ? source : String(source).split(/\r?\n/);
+
+  // Find the first and last non-blank rows
+  let first = 0;
+  let last = lines.length - 1;
+  while (first <= last && lines[first].trim() === "") first++;
+  while (last >= first && lines[last].trim() === "") last--;
+  if (first > last) {
+    throw new MapParseError("Map is empty", 1, 1);
+  }
+
+  const width = lines[first].length;
+  const height = last - first + 1;
+  const result = {
+    map: [],
+    width: width,
+    height: height,
+    playerStart: null,
+    monsters: []
+  };
+
+  for (let y = 0; y < height; y++) {
+    const row = lines[first + y];
+    const lineNum = first + y + 1;
+
+    if (row.length !== width) {
+      throw new MapParseError(
+        `Row is ${row.length} characters wide, expected ${width}`,
+        lineNum, Math.min(row.length, width) + 1
+      );
+    }
+
+    const tiles = [];
+    for (let x = 0; x < width; x++) {
+      const glyph = row[x];
+      const entry = glyphs[glyph];
+      if (!entry || typeof entry.tile !== "number") {
+        throw new MapParseError(`Unknown glyph "${glyph}"`, lineNum, x + 1);
+      }
+
+      // The outer ring must be solid so nothing can walk or see off the map
+      const onBorder = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+      if (onBorder && (getTileProperties(entry.tile).walkable || entry.tile === TILE_TYPES.DOOR)) {
+        throw new MapParseError(`Map border is open at "${glyph}"`, lineNum, x + 1);
+      }
+
+      if (entry.player) {
+        if (result.playerStart) {
+          throw new MapParseError("Map has more than one player start", lineNum, x + 1);
+        }
+        if (FACING_TO_DIRECTION[entry.player] === undefined) {
+          throw new MapParseError(`Player glyph "${glyph}" has invalid facing "${entry.player}"`, lineNum, x + 1);
+        }
+        result.playerStart = { x: x, y: y, facing: entry.player };
+      }
+
+      if (entry.monster) {
+        result.monsters.push({ type: entry.monster, x: x, y: y });
+      }
+
+      tiles.push(entry.tile);
+    }
+    result.map.push(tiles);
+  }
+
+  return result;
+}
+
+// ==================== LEVEL DATA ====================
+const LEVELS = {
+  1: {
+    name: "The Forgotten Cellars",
+    ascii: [
+      "####################",
+      "#........##........#",
+      "#.@......##........#",
+      "#..###........###..#",
+      "#..#.....W......#..#",
+      "#....S.#####.......#",
+      "##.....#O..#.......#",
+      "#......##D##.......#",
+      "#.............#....#",
+      "#..L###.......#....#",
+      "#.....#............#",
+      "#.....#..####......#",
+      "#........#.....S_..#",
+      "####.....#.........#",
+      "#....O.........#%#.#",
+      "#....###...........#",
+      "#....#.....##......#",
+      "#....#.....##.....##",
+      "#T...............DX#",
+      "####################"
+    ],
+    legend: {
+      "@": { tile: TILE_TYPES.FLOOR, player: "E" },
+      "O": { tile: TILE_TYPES.FLOOR, monster: "orc" },
+      "W": { tile: TILE_TYPES.FLOOR, monster: "wizard" }
+    },
+    monsters: [
+      { type: "skeletonArcher", x: 17, y: 2 },
+      {
+        type: "spider", x: 15, y: 6,
+        patrol: [
+          { x: 15, y: 6 },
+          { x: 15, y: 10 },
+          { x: 12, y: 10 },
+          { x: 12, y: 6 }
+        ]
+      }
+    ],
+    lights: [
+      { type: "point", x: 8, y: 2, color: "#ff9933", intensity: 1.0, radius: 4.0, z: 0.8, flickerEnabled: true },
+      { type: "point", x: 3, y: 16, color: "#ff9933", intensity: 1.0, radius: 4.0, z: 0.8, flickerEnabled: true },
+      { type: "point", x: 17, y: 18, color: "#66ccff", intensity: 1.2, radius: 3.0, z: 0.5 }
+    ],
+    items: [
+      { item: "healingPotion", x: 3, y: 7 },
+      { item: "ironKey", x: 17, y: 16 },
+      { item: "ringOfFire", x: 10, y: 6 },
+      { item: "wandOfFrost", x: 1, y: 17 }
+    ],
+    mechanisms: [
+      // The exit is behind a door only the iron key opens
+      { type: "door", x: 17, y: 18, locked: true, keyId: "iron" },
+      // The orc's cell opens from the lever round the corner
+      { type: "door", x: 9, y: 7, locked: true },
+      { type: "lever", x: 3, y: 9, targets: [{ x: 9, y: 7 }] },
+      { type: "plate", x: 16, y: 12, hold: false, targets: [{ x: 16, y: 14 }] },
+      { type: "teleporter", x: 1, y: 18, to: { x: 18, y: 10, facing: "W" } }
+    ]
+  }
+};
+
+// ==================== LOADER ====================
+// Get a level definition by number
+function getLevel(levelNum) {
+  return LEVELS[levelNum] || null;
+}
+
+// Build the worldMap 2D array from a level's tile grid
+function buildWorldMap(level) {
+  if (level.ascii) {
+    return parseAsciiMap(level.ascii, level.legend).map;
+  }
+
+  if (!level.tiles || level.tiles.length === 0) {
+    throw new Error(`Level "${level.name}" has no tiles`);
+  }
+
+  const width = level.tiles[0].length;
+  return level.tiles.map((row, y) => {
+    if (row.length !== width) {
+      throw new Error(`Level "${level.name}" row ${y} has ${row.length} tiles, expected ${width}`);
+    }
+    return row.split("").map(ch => parseInt(ch, 10));
+  });
+}
+
+// Resolve a level's map, player start and monster list, merging in whatever
+// the ASCII map declares
+function buildLevelLayout(level) {
+  if (!level.ascii) {
+    return {
+      map: buildWorldMap(level),
+      playerStart: level.player || null,
+      monsters: level.monsters || []
+    };
+  }
+
+  const parsed = parseAsciiMap(level.ascii, level.legend);
+  return {
+    map: parsed.map,
+    playerStart: parsed.playerStart || level.player || null,
+    monsters: parsed.monsters.concat(level.monsters || [])
+  };
+}
+
+// Put the player on the level's start tile
+function placePlayerAtStart(start) {
+  if (!window.player || !start) return;
+
+  const direction = FACING_TO_DIRECTION[start.facing] !== undefined ?
+    FACING_TO_DIRECTION[start.facing] : 0;
+
+  window.player.x = start.x + 0.5;
+  window.player.y = start.y + 0.5;
+  window.player.direction = direction;
+  if (typeof dirToAngle === 'function') {
+    window.player.angle = dirToAngle(direction);
+  }
+}
+
+// Spawn the level's monsters into the entity manager
+function spawnLevelMonsters(monsters, entityManager) {
+  if (!monsters || monsters.length === 0) return;
+
+  if (typeof spawnMonster !== 'function') {
+    console.error("spawnMonster function not found! Monsters not loaded properly.");
+    return;
+  }
+
+  for (const spawn of monsters) {
+    const properties = {};
+    if (spawn.patrol && spawn.patrol.length > 0) {
+      properties.patrolPoints = spawn.patrol.map(p => ({ x: p.x + 0.5, y: p.y + 0.5 }));
+    }
+    spawnMonster(entityManager, spawn.type, spawn.x + 0.5, spawn.y + 0.5, properties);
+  }
+}
+
+// Add the level's lights to the lighting manager
+function addLevelLights(level, lightingManager) {
+  if (!level.lights || level.lights.length === 0) return [];
+  if (!lightingManager || !window.Light) {
+    console.warn(`Lighting isn't initialized; ${level.lights.length} light(s) in level "${level.name}" were not added`);
+    return [];
+  }
+
+  const lightIds = [];
+  for (const def of level.lights) {
+    const type = LEVEL_LIGHT_TYPES[def.type];
+    if (type === undefined) {
+      console.warn(`Unknown light type "${def.type}" in level "${level.name}"`);
+      continue;
+    }
+
+    const properties = { ...def };
+    delete properties.type;
+    if (properties.x !== undefined) properties.x += 0.5;
+    if (properties.y !== undefined) properties.y += 0.5;
+
+    lightIds.push(lightingManager.addLight(new window.Light(type, properties)));
+  }
+  return lightIds;
+}
+
+// Drop the level's starting items on the floor
+function spawnLevelItems(level, entityManager) {
+  if (!level.items || level.items.length === 0) return;
+
+  if (typeof spawnItem !== 'function') {
+    console.warn(`Item system not loaded, skipping ${level.items.length} item drops`);
+    return;
+  }
+
+  for (const drop of level.items) {
+    spawnItem(entityManager, drop.item, drop.x + 0.5, drop.y + 0.5);
+  }
+}
+
+// Load a full level: map, player start, monsters, lights and items
+function loadLevelData(level, entityManager, lightingManager) {
+  const layout = buildLevelLayout(level);
+
+  window.worldMap = layout.map;
+  placePlayerAtStart(layout.playerStart);
+  spawnLevelMonsters(layout.monsters, entityManager);
+  const lightIds = addLevelLights(level, lightingManager);
+  spawnLevelItems(level, entityManager);
+  if (window.mechanismManager) window.mechanismManager.load(level, window.worldMap);
+
+  console.log(`Level "${level.name}" loaded: ${window.worldMap[0].length}x${window.worldMap.length}, ` +
+              `${layout.monsters.length} monsters, ${lightIds.length} lights`);
+  gameEvents.emit("level:loaded", { level: level, worldMap: window.worldMap, lightIds: lightIds });
+  return { worldMap: window.worldMap, lightIds: lightIds };
+}
+
+// Make functions globally available
+window.TILE_TYPES = TILE_TYPES;
+window.TILE_PROPERTIES = TILE_PROPERTIES;
+window.FACING_TO_DIRECTION = FACING_TO_DIRECTION;
+window.getTileProperties = getTileProperties;
+window.DEFAULT_MAP_LEGEND = DEFAULT_MAP_LEGEND;
+window.MapParseError = MapParseError;
+window.parseAsciiMap = parseAsciiMap;
+window.LEVELS = LEVELS;
+window.getLevel = getLevel;
+window.buildWorldMap = buildWorldMap;
+window.loadLevelData = loadLevelData;
+
+console.log("Level system loaded successfully!");
@@ -0,0 +1,312 @@
+// mechanisms.js - Interactive tiles for Might of the Beholder
+// Doors (plain, locked, keyed), wall levers, pressure plates, secret walls and
+// teleporters. The tile type lives in worldMap; the state of each mechanism
+// (door open amount, lever position...) lives here, keyed by tile.
+
+// ==================== CONSTANTS ====================
+// Time for a door to slide fully open or shut (ms)
+const DOOR_OPEN_TIME = 600;
+
+// Doors count as open for movement once they are this far open
+const DOOR_PASSABLE_AMOUNT = 0.9;
+
+// Starting state for each mechanism type (see TILE_PROPERTIES for which tiles get one)
+const MECHANISM_DEFAULTS = {
+  door: { open: false, locked: false, keyId: null },
+  lever: { on: false, targets: [] },
+  plate: { pressed: false, hold: true, targets: [] },
+  teleporter: { to: null }
+};
+
+// ==================== MECHANISM MANAGER ====================
+class MechanismManager {
+  constructor() {
+    this.mechanisms = {};
+
+    // Tile the party stood on last update, so teleporters fire once per visit
+    this.lastPartyTile = null;
+  }
+
+  key(x, y) {
+    return `${x},${y}`;
+  }
+
+  get(x, y) {
+    return this.mechanisms[this.key(x, y)] || null;
+  }
+
+  clear() {
+    this.mechanisms = {};
+    this.lastPartyTile = null;
+  }
+
+  // Create mechanisms for every interactive tile, then apply the level's settings
+  load(level, map) {
+    this.clear();
+
+    for (let y = 0; y < map.length; y++) {
+      for (let x = 0; x < map[y].length; x++) {
+        const type = getTileProperties(map[y][x]).mechanism;
+        if (type) {
+          this.mechanisms[this.key(x, y)] = { type: type, ...MECHANISM_DEFAULTS[type], x: x, y: y, openAmount: 0 };
+        }
+      }
+    }
+
+    for (const def of level.mechanisms || []) {
+      const mechanism = this.get(def.x, def.y);
+      if (!mechanism || mechanism.type !== def.type) {
+        console.warn(`Level "${level.name}" has a ${def.type} at (${def.x}, ${def.y}) but the map tile doesn't match`);
+        continue;
+      }
+      Object.assign(mechanism, def);
+      if (mechanism.type === "door") mechanism.openAmount = mechanism.open ? 1 : 0;
+    }
+  }
+
+  // ==================== DOORS ====================
+  getDoorOpenAmount(x, y) {
+    const door = this.get(x, y);
+    return door && door.type === "door" ? door.openAmount : 0;
+  }
+
+  isDoorPassable(x, y) {
+    return this.getDoorOpenAmount(x, y) >= DOOR_PASSABLE_AMOUNT;
+  }
+
+  // Start a door opening or closing. Returns a message when it can't.
+  setDoorOpen(door, open) {
+    if (door.open === open) return null;
+
+    if (!open && isDoorwayBlocked(door.x, door.y)) {
+      return "Something is blocking the door!";
+    }
+
+    door.open = open;
+    gameEvents.emit(open ? "door:opened" : "door:closed", { door: door, x: door.x, y: door.y });
+    return null;
+  }
+
+  // Party uses a door: unlock it with a key if needed, then open or close it
+  useDoor(door) {
+    if (door.locked) {
+      if (!door.keyId) {
+        return { success: false, message: "The door won't budge. It must be opened from somewhere else." };
+      }
+
+      const holder = findKeyHolder(door.keyId);
+      if (!holder) {
+        return { success: false, message: "The door is locked." };
+      }
+
+      door.locked = false;
+      logMechanism(`${holder.character.name} unlocks the door with the ${ITEM_TYPES[holder.item.itemType].name}.`);
+    }
+
+    const problem = this.setDoorOpen(door, !door.open);
+    if (problem) return { success: false, message: problem };
+
+    return { success: true, message: door.open ? "The door opens." : "The door closes." };
+  }
+
+  // ==================== TRIGGERS ====================
+  // Levers and plates act on a list of target tiles
+  activateTargets(targets, open) {
+    for (const target of targets || []) {
+      const tile = window.worldMap[target.y] ? window.worldMap[target.y][target.x] : undefined;
+
+      if (tile === TILE_TYPES.DOOR) {
+        const problem = this.setDoorOpen(this.get(target.x, target.y), open);
+        if (problem) logMechanism(problem);
+      } else if (tile === TILE_TYPES.SECRET_WALL && open) {
+        this.revealSecretWall(target.x, target.y);
+      }
+    }
+  }
+
+  // Turn a secret wall into floor for good
+  revealSecretWall(x, y) {
+    window.worldMap[y][x] = TILE_TYPES.FLOOR;
+    if (window.pathfinder) window.pathfinder.invalidate();
+    logMechanism("A section of wall grinds aside, revealing a hidden passage!");
+  }
+
+  // ==================== INTERACTION ====================
+  // The party interacts with a tile (normally the one in front).
+  // Returns { success, message } like Entity.interact, or null if there is
+  // nothing to interact with on that tile.
+  interact(x, y) {
+    const map = window.worldMap;
+    if (!map || !map[y] || map[y][x] === undefined) return null;
+    const tile = map[y][x];
+
+    if (tile === TILE_TYPES.SECRET_WALL) {
+      this.revealSecretWall(x, y);
+      return { success: true, message: "The wall gives way under your hands." };
+    }
+
+    const mechanism = this.get(x, y);
+    if (!mechanism) return null;
+
+    switch (mechanism.type) {
+      case "door":
+        return this.useDoor(mechanism);
+
+      case "lever":
+        mechanism.on = !mechanism.on;
+        this.activateTargets(mechanism.targets, mechanism.on);
+        return { success: true, message: `You pull the lever ${mechanism.on ? "down" : "up"}. Something clanks in the distance.` };
+
+      case "plate":
+        return { success: false, message: "A stone plate is set into the floor." };
+
+      case "teleporter":
+        return { success: false, message: "The air above this spot shimmers." };
+    }
+    return null;
+  }
+
+  // ==================== UPDATE ====================
+  update(dt) {
+    for (const id in this.mechanisms) {
+      const mechanism = this.mechanisms[id];
+      if (mechanism.type === "door") {
+        this.updateDoor(mechanism, dt);
+      } else if (mechanism.type === "plate") {
+        this.updatePlate(mechanism);
+      }
+    }
+
+    this.updateTeleporters();
+  }
+
+  // Slide doors towards their target position. A closing door holds still
+  // while anything is in (or stepping into) the doorway and carries on once
+  // it's clear, so nobody ends up inside a shut door.
+  updateDoor(door, dt) {
+    const target = door.open ? 1 : 0;
+    if (door.openAmount === target) return;
+    if (!door.open && isDoorwayBlocked(door.x, door.y)) return;
+
+    const wasPassable = door.openAmount >= DOOR_PASSABLE_AMOUNT;
+    const step = dt / DOOR_OPEN_TIME;
+    door.openAmount = door.open ?
+      Math.min(1, door.openAmount + step) :
+      Math.max(0, door.openAmount - step);
+
+    // Routes through the door change when it becomes (im)passable
+    if (wasPassable !== door.openAmount >= DOOR_PASSABLE_AMOUNT && window.pathfinder) {
+      window.pathfinder.invalidate();
+    }
+  }
+
+  // Plates are pressed by the party or any monster standing on them
+  updatePlate(plate) {
+    const pressed = isTileOccupiedByAnyone(plate.x, plate.y);
+    if (pressed === plate.pressed) return;
+
+    plate.pressed = pressed;
+    if (pressed) {
+      logMechanism("Click! A plate sinks into the floor.");
+      this.activateTargets(plate.targets, true);
+    } else if (plate.hold) {
+      this.activateTargets(plate.targets, false);
+    }
+  }
+
+  // Whisk the party away when it finishes stepping onto a teleporter
+  updateTeleporters() {
+    if (!window.player || player.isMoving) return;
+
+    const tileX = Math.floor(player.x);
+    const tileY = Math.floor(player.y);
+    const tileKey = this.key(tileX, tileY);
+    if (tileKey === this.lastPartyTile) return;
+    this.lastPartyTile = tileKey;
+
+    const teleporter = this.get(tileX, tileY);
+    if (!teleporter || teleporter.type !== "teleporter" || !teleporter.to) return;
+
+    const to = teleporter.to;
+    player.x = to.x + 0.5;
+    player.y = to.y + 0.5;
+    if (to.facing && FACING_TO_DIRECTION[to.facing] !== undefined) {
+      player.direction = FACING_TO_DIRECTION[to.facing];
+      player.angle = dirToAngle(player.direction);
+    }
+
+    // Don't interpolate across the jump
+    delete player.prevX;
+    delete player.prevY;
+    delete player.prevAngle;
+
+    this.lastPartyTile = this.key(to.x, to.y);
+    logMechanism("A shimmering light whisks the party away!");
+    gameEvents.emit("party:moved", { x: player.x, y: player.y, fromX: tileX + 0.5, fromY: tileY + 0.5, teleported: true });
+  }
+
+  // ==================== SAVE DATA ====================
+  serialize() {
+    return Object.values(this.mechanisms).map(mechanism => ({ ...mechanism }));
+  }
+
+  restore(saved) {
+    if (!saved) return;
+    for (const data of saved) {
+      const mechanism = this.get(data.x, data.y);
+      if (mechanism) Object.assign(mechanism, data);
+    }
+  }
+}
+
+// ==================== HELPERS ====================
+// Can anything walk onto this tile right now? Doors must be (almost) fully open.
+function isTileWalkable(x, y, map = window.worldMap) {
+  if (!map || y < 0 || y >= map.length || x < 0 || x >= map[y].length) return false;
+
+  const tile = map[y][x];
+  if (tile === TILE_TYPES.DOOR) return mechanismManager.isDoorPassable(x, y);
+  return getTileProperties(tile).walkable;
+}
+
+// The party or an active monster stands on the tile
+function isTileOccupiedByAnyone(x, y) {
+  if (window.player && Math.floor(player.x) === x && Math.floor(player.y) === y) return true;
+  if (!window.entityManager) return false;
+
+  return entityManager.getAtTile(x, y).some(entity => entity.type === "monster" && entity.active);
+}
+
+// A door can't close on the tile: someone stands on it, or the party is
+// partway through a step onto it (and still counted on the tile it left)
+function isDoorwayBlocked(x, y) {
+  if (isTileOccupiedByAnyone(x, y)) return true;
+  return !!window.player && player.isMoving &&
+    Math.floor(player.moveToX) === x && Math.floor(player.moveToY) === y;
+}
+
+// Find a party member carrying a key for the given lock
+function findKeyHolder(keyId) {
+  if (!window.party) return null;
+
+  for (const character of party.characters) {
+    const item = character.inventory.find(i => ITEM_TYPES[i.itemType] && ITEM_TYPES[i.itemType].keyId === keyId);
+    if (item) return { character: character, item: item };
+  }
+  return null;
+}
+
+function logMechanism(message) {
+  console.log(message);
+  if (window.log) window.log(message);
+}
+
+// Shared manager for the current level
+const mechanismManager = new MechanismManager();
+
+// Make functions globally available
+window.MechanismManager = MechanismManager;
+window.mechanismManager = mechanismManager;
+window.isTileWalkable = isTileWalkable;
+
+console.log("Mechanism system loaded successfully!");
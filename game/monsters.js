@@ -6,6 +6,11 @@ const MONSTER_TYPES = {
     name: "Skeleton",
     health: 20,
     damage: 5,
+    toHit: 4,
+    armorClass: 13,
+    experience: 30,
+    loot: [{ item: "healingPotion", chance: 0.25 }, { item: "dagger", chance: 0.15 }],
+    remains: "bones",
     speed: 0.5,
     attackRange: 1.0,
     sightRange: 5.0,
@@ -20,6 +25,11 @@ const MONSTER_TYPES = {
     name: "Orc",
     health: 30,
     damage: 8,
+    toHit: 5,
+    armorClass: 12,
+    experience: 50,
+    loot: [{ item: "healingPotion", chance: 0.3 }, { item: "spear", chance: 0.2 }, { item: "leatherArmor", chance: 0.1 }],
+    remains: "corpse",
     speed: 1.5,
     attackRange: 1.0,
     sightRange: 6.0,
@@ -33,6 +43,12 @@ const MONSTER_TYPES = {
     name: "Giant Spider",
     health: 15,
     damage: 4,
+    toHit: 6,
+    armorClass: 14,
+    experience: 25,
+    loot: [{ item: "healingPotion", chance: 0.15 }],
+    remains: "corpse",
+    onHitEffect: "poisoned",
     speed: 3.0,
     attackRange: 1.0,
     sightRange: 4.0,
@@ -47,16 +63,60 @@ const MONSTER_TYPES = {
     name: "Dark Wizard",
     health: 25,
     damage: 12,
+    toHit: 3,
+    armorClass: 10,
+    experience: 75,
+    loot: [{ item: "manaPotion", chance: 0.6 }, { item: "scrollOfFire", chance: 0.3 }],
+    remains: "corpse",
     speed: 1.0,
     attackRange: 5.0, // Ranged attack!
+    preferredRange: 3.0, // Backs away if the party gets closer than this
+    projectile: "iceSpell",
+    rangedCooldown: 2500,
     sightRange: 7.0,
     sprite: "wizard",
     color: "#99F",
     width: 0.8,
     height: 1.7
+  },
+  
+  skeletonArcher: {
+    name: "Skeleton Archer",
+    health: 18,
+    damage: 5,
+    toHit: 5,
+    armorClass: 12,
+    experience: 40,
+    loot: [{ item: "healingPotion", chance: 0.2 }, { item: "dagger", chance: 0.1 }],
+    remains: "bones",
+    speed: 0.8,
+    attackRange: 6.0,
+    preferredRange: 3.0,
+    projectile: "arrow",
+    rangedCooldown: 1800,
+    sightRange: 7.0,
+    sprite: "skeleton",
+    color: "#DDB",
+    width: 0.8,
+    height: 1.5,
+    frames: 2
   }
 };
 
+// Anything further than this counts as a ranged attack
+const MELEE_RANGE = 1.5;
+
+// Let monster projectiles hurt other monsters
+window.monsterFriendlyFire = false;
+
+// Length of the death animation, and how long the remains lie there
+// before the monster is removed from the EntityManager (ms)
+const MONSTER_DEATH_ANIMATION_MS = 800;
+const MONSTER_CORPSE_DURATION_MS = 30000;
+
+// Remains fade out over the end of the corpse timer (ms)
+const MONSTER_CORPSE_FADE_MS = 2000;
+
 // Texture loading for monsters
 const monsterTextures = {};
 
@@ -146,15 +206,20 @@ class Monster extends Entity {
       health: monsterStats.health,
       maxHealth: monsterStats.health,
       damage: monsterStats.damage,
+      toHit: monsterStats.toHit || 0,
+      armorClass: monsterStats.armorClass || 10,
+      onHitEffect: monsterStats.onHitEffect || null,
       attackRange: monsterStats.attackRange,
+      preferredRange: monsterStats.preferredRange || 0,
+      projectile: monsterStats.projectile || null,
+      rangedCooldown: monsterStats.rangedCooldown || 2000,
       speed: monsterStats.speed,
       sightRange: monsterStats.sightRange,
-      state: "idle", // idle, patrol, chase, attack
       monsterType: type,
       
       // Animation properties
       animationFrame: 0,
-      lastAnimationUpdate: performance.now(),
+      lastAnimationUpdate: simulationTime(),
       animationFrameCount: monsterStats.frames || 1,
       animationSpeed: 250, // ms per frame
       
@@ -171,8 +236,19 @@ class Monster extends Entity {
     this.monsterType = type;
     this.color = monsterStats.color;
     this.name = monsterStats.name;
+    this.loot = monsterStats.loot || [];
+    this.remains = monsterStats.remains || "corpse";
+    
+    // Death state: set once health runs out, the remains linger until removed
+    this.dead = false;
+    this.deathTime = 0;
+    
+    if (this.properties.projectile && window.PROJECTILE_TYPES && !window.PROJECTILE_TYPES[this.properties.projectile]) {
+      console.warn(`Unknown projectile "${this.properties.projectile}" for ${this.name}; it will fight in melee`);
+    }
     
-    // AI state
+    // AI state: idle, patrol, chase, attack or retreat
+    this.state = "idle";
     this.targetX = null;
     this.targetY = null;
     this.lastSawPlayerTime = 0;
@@ -180,13 +256,33 @@ class Monster extends Entity {
     this.currentPatrolIndex = 0;
     this.waitTime = 0;
     
+    // Pathfinding state: tiles still to walk and the tile currently headed for
+    this.path = null;
+    this.pathGoalX = null;
+    this.pathGoalY = null;
+    this.waypoint = null;
+    
     // Attack cooldown
     this.lastAttackTime = 0;
     this.attackCooldown = 1000; // 1 second cooldown
   }
   
 update(dt, player, worldMap, castRay) {
-    const now = performance.now();
+    const now = simulationTime();
+    
+    // Dead monsters only wait for their corpse timer
+    if (this.dead) {
+      if (now - this.deathTime >= MONSTER_CORPSE_DURATION_MS && window.entityManager) {
+        window.entityManager.remove(this.id);
+      }
+      return;
+    }
+    
+    // Frozen monsters can't move, attack or animate
+    if (window.isStatusImmobilized && window.isStatusImmobilized(this)) {
+      this.properties.isAttacking = false;
+      return;
+    }
     
     // Update normal animation frame
     if (!this.properties.isAttacking && 
@@ -232,9 +328,21 @@ update(dt, player, worldMap, castRay) {
       
       // Check if close enough to attack
       const distanceToPlayer = this.distanceTo(player);
-      const isAdjacentToPlayer = distanceToPlayer <= 1.5; // Slightly larger than 1 to be safe
+      const isAdjacentToPlayer = distanceToPlayer <= MELEE_RANGE; // Slightly larger than 1 to be safe
       
-      if (isAdjacentToPlayer) {
+      if (this.isRanged() && distanceToPlayer <= this.properties.attackRange) {
+        // Hold position in range, backing off if the party gets too close
+        this.state = distanceToPlayer < this.properties.preferredRange ? "retreat" : "attack";
+        this.targetX = player.x;
+        this.targetY = player.y;
+        this.properties.isAttacking = true;
+        
+        // Shoot whenever the cooldown allows
+        if (now - this.lastAttackTime > this.properties.rangedCooldown) {
+          this.lastAttackTime = now;
+          this.fireAt(player, castRay);
+        }
+      } else if (isAdjacentToPlayer && !this.isRanged()) {
         // Stop moving and start attacking
         this.state = "attack";
         this.targetX = null;
@@ -244,8 +352,11 @@ update(dt, player, worldMap, castRay) {
         // Check attack cooldown
         if (now - this.lastAttackTime > this.attackCooldown) {
           this.lastAttackTime = now;
-          console.log(`${this.name} is attacking the player!`);
-          if (window.log) window.log(`${this.name} is attacking the player!`);
+          
+          // Roll the attack against the party
+          if (window.resolveMonsterAttack && window.party) {
+            window.resolveMonsterAttack(this, window.party);
+          }
           
           // Trigger attack visualization
           if (window.triggerMonsterAttack) {
@@ -276,15 +387,16 @@ update(dt, player, worldMap, castRay) {
         // Just stand around
         this.waitTime -= dt;
         if (this.waitTime <= 0) {
-          // Switch to patrol if patrol points exist
+          // Switch to patrol if patrol points exist, heading for the next
+          // point on the route rather than starting over
           if (this.patrolPoints && this.patrolPoints.length > 0) {
             this.state = "patrol";
-            this.currentPatrolIndex = 0;
-            this.targetX = this.patrolPoints[0].x;
-            this.targetY = this.patrolPoints[0].y;
+            this.currentPatrolIndex %= this.patrolPoints.length;
+            this.targetX = this.patrolPoints[this.currentPatrolIndex].x;
+            this.targetY = this.patrolPoints[this.currentPatrolIndex].y;
           } else {
             // Reset wait time
-            this.waitTime = 2000 + Math.random() * 3000;
+            this.waitTime = rng.stream("ai").float(2000, 5000);
           }
         }
         break;
@@ -295,31 +407,182 @@ update(dt, player, worldMap, castRay) {
           break;
         }
         
-        // Move toward current patrol point
-        this.moveToward(this.targetX, this.targetY, dt);
+        // Walk the A* route to the current patrol point
+        this.followPathTo(this.targetX, this.targetY, dt);
         
         // Check if reached destination
         if (this.distanceTo({x: this.targetX, y: this.targetY}) < 0.2) {
+          this.path = null;
+          
           // Move to next patrol point
           this.currentPatrolIndex = (this.currentPatrolIndex + 1) % this.patrolPoints.length;
           this.targetX = this.patrolPoints[this.currentPatrolIndex].x;
           this.targetY = this.patrolPoints[this.currentPatrolIndex].y;
           
           // Wait a bit
-          this.waitTime = 1000 + Math.random() * 1000;
+          this.waitTime = rng.stream("ai").float(1000, 2000);
           this.state = "idle";
         }
         break;
         
       case "chase":
-        // Move toward player, but stop when adjacent
+        // Follow the flow field toward the player, but stop when adjacent
+        if (this.targetX !== null && this.targetY !== null) {
+          this.chase(this.targetX, this.targetY, dt, player);
+        }
+        break;
+        
+      case "retreat":
+        // Back away from the player to get room to shoot
         if (this.targetX !== null && this.targetY !== null) {
-          this.moveTowardAdjacent(this.targetX, this.targetY, dt, player);
+          this.retreatFrom(this.targetX, this.targetY, dt);
         }
         break;
     }
   }
   
+  // Monsters with a projectile and a reach beyond melee fight at range
+  // Only with a projectile type that exists; anything else fights in melee
+  isRanged() {
+    return !!this.properties.projectile && this.properties.attackRange > MELEE_RANGE &&
+      !!window.PROJECTILE_TYPES && !!window.PROJECTILE_TYPES[this.properties.projectile];
+  }
+  
+  // Fire this monster's projectile at the player
+  fireAt(player, castRay) {
+    if (typeof shootProjectile !== 'function' || !window.entityManager) return null;
+    
+    const projectile = shootProjectile(
+      window.entityManager,
+      this.properties.projectile,
+      this,
+      this.angleTo(player),
+      {
+        castRay: castRay,
+        damage: this.properties.damage,
+        friendlyFire: window.monsterFriendlyFire
+      }
+    );
+    if (!projectile) return null;
+    
+    if (window.log) window.log(`${this.name} fires a ${projectile.name} at the party!`);
+    return projectile;
+  }
+  
+  // Step to whichever neighbouring tile is furthest from a point
+  retreatFrom(fromX, fromY, dt) {
+    const tileX = Math.floor(this.x);
+    const tileY = Math.floor(this.y);
+    
+    // Pick a new tile once the previous one has been reached
+    if (!this.waypoint ||
+        this.distanceTo({x: this.waypoint.x + 0.5, y: this.waypoint.y + 0.5}) < 0.1) {
+      this.waypoint = null;
+      let bestDistance = Math.hypot(tileX + 0.5 - fromX, tileY + 0.5 - fromY);
+      
+      for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+        const nx = tileX + dx;
+        const ny = tileY + dy;
+        if (!this.canMoveTo(nx + 0.5, ny + 0.5)) continue;
+        
+        const distance = Math.hypot(nx + 0.5 - fromX, ny + 0.5 - fromY);
+        if (distance > bestDistance) {
+          bestDistance = distance;
+          this.waypoint = { x: nx, y: ny };
+        }
+      }
+    }
+    
+    // Cornered: stand and keep shooting
+    if (!this.waypoint) {
+      this.path = null;
+      return;
+    }
+    
+    this.path = [this.waypoint];
+    this.moveToward(this.waypoint.x + 0.5, this.waypoint.y + 0.5, dt);
+  }
+  
+  // Walk an A* route to a world position, re-planning when the goal tile changes
+  followPathTo(targetX, targetY, dt) {
+    if (targetX === null || targetY === null) return;
+    
+    // Fall back to walking straight if pathfinding isn't available
+    if (!window.pathfinder || !window.worldMap) {
+      this.moveToward(targetX, targetY, dt);
+      return;
+    }
+    
+    const goalX = Math.floor(targetX);
+    const goalY = Math.floor(targetY);
+    
+    if (!this.path || this.pathGoalX !== goalX || this.pathGoalY !== goalY) {
+      this.path = window.pathfinder.findPath(
+        window.worldMap,
+        Math.floor(this.x), Math.floor(this.y),
+        goalX, goalY,
+        { isOccupied: (x, y) => window.isTileOccupied(x, y, this) }
+      );
+      this.pathGoalX = goalX;
+      this.pathGoalY = goalY;
+    }
+    
+    // Already in the goal tile (or no route): head straight for the target
+    if (!this.path || this.path.length === 0) {
+      this.moveToward(targetX, targetY, dt);
+      return;
+    }
+    
+    // Walk to the centre of the next tile on the route
+    const next = this.path[0];
+    this.moveToward(next.x + 0.5, next.y + 0.5, dt);
+    if (this.distanceTo({x: next.x + 0.5, y: next.y + 0.5}) < 0.1) {
+      this.path.shift();
+    }
+  }
+  
+  // Chase a target using the shared flow field, stopping when adjacent
+  chase(targetX, targetY, dt, player) {
+    // Close enough to attack
+    if (this.distanceTo({x: targetX, y: targetY}) <= 1.5) {
+      this.path = null;
+      this.waypoint = null;
+      return;
+    }
+    
+    const field = window.pathfinder && window.worldMap ?
+      window.pathfinder.getFlowField(window.worldMap, Math.floor(targetX), Math.floor(targetY)) :
+      null;
+    const tileX = Math.floor(this.x);
+    const tileY = Math.floor(this.y);
+    
+    // Unreachable (or no pathfinding): fall back to the straight-line approach
+    if (!field || field.getDistance(tileX, tileY) === Infinity) {
+      this.path = null;
+      this.waypoint = null;
+      this.moveTowardAdjacent(targetX, targetY, dt, player);
+      return;
+    }
+    
+    // Pick the next tile once the previous one has been reached, stepping
+    // around tiles other monsters are standing on
+    if (!this.waypoint ||
+        this.distanceTo({x: this.waypoint.x + 0.5, y: this.waypoint.y + 0.5}) < 0.1) {
+      this.waypoint = field.nextStep(tileX, tileY, (x, y) => window.isTileOccupied(x, y, this));
+    }
+    
+    // Blocked in by other monsters: wait for a gap
+    if (!this.waypoint) {
+      this.path = null;
+      return;
+    }
+    
+    // Keep the full route around for the minimap
+    this.path = [this.waypoint].concat(field.pathFrom(this.waypoint.x, this.waypoint.y));
+    
+    this.moveToward(this.waypoint.x + 0.5, this.waypoint.y + 0.5, dt);
+  }
+  
   moveToward(targetX, targetY, dt) {
     // Skip if target is invalid
     if (targetX === null || targetY === null) return;
@@ -406,34 +669,82 @@ update(dt, player, worldMap, castRay) {
     const topTile = Math.floor(y - padding);
     const bottomTile = Math.floor(y + padding);
     
-    // Check all potentially intersecting tiles
+    // Check all potentially intersecting tiles (outside the map counts as wall)
     const tilesToCheck = [
-      window.worldMap[tileY][tileX],
-      leftTile >= 0 ? window.worldMap[tileY][leftTile] : 1,
-      rightTile < window.worldMap[0].length ? window.worldMap[tileY][rightTile] : 1,
-      topTile >= 0 ? window.worldMap[topTile][tileX] : 1,
-      bottomTile < window.worldMap.length ? window.worldMap[bottomTile][tileX] : 1
+      [tileX, tileY],
+      [leftTile, tileY],
+      [rightTile, tileY],
+      [tileX, topTile],
+      [tileX, bottomTile]
     ];
     
-    // Ensure no tiles are walls
-    return tilesToCheck.every(tile => tile === 0);
+    // Ensure no tiles are walls or closed doors
+    if (!tilesToCheck.every(([checkX, checkY]) => isTileWalkable(checkX, checkY))) return false;
+    
+    // Don't walk into a tile another monster is standing on
+    const changesTile = tileX !== Math.floor(this.x) || tileY !== Math.floor(this.y);
+    return !changesTile || !window.isTileOccupied || !window.isTileOccupied(tileX, tileY, this);
   }
   
   takeDamage(amount) {
+    const wasAlive = this.active;
     this.properties.health -= amount;
+    if (wasAlive) gameEvents.emit("entity:damaged", { entity: this, amount: amount });
     if (this.properties.health <= 0) {
-      this.active = false;
+      if (wasAlive) this.die();
       return true; // Indicates monster died
     }
     return false;
   }
   
-  render(ctx, player, screenW, screenH, fov, castRay) {
-    if (!this.visible || !this.active) return;
+  // Called once when the monster's health runs out, whatever killed it
+  die() {
+    this.active = false;
+    this.solid = false;
+    this.dead = true;
+    this.deathTime = simulationTime();
+    this.properties.isAttacking = false;
+    this.path = null;
+    this.waypoint = null;
+    
+    // Experience for the party (see progression.js)
+    if (window.awardMonsterExperience) {
+      window.awardMonsterExperience(this);
+    }
     
-    // Make sure all required parameters exist
-    if (!ctx || !player || !screenW || !screenH || !fov || !castRay) return;
+    const loot = this.dropLoot();
+    
+    // Let quests and scripts react
+    const event = gameEvents.emit("entity:died", { entity: this, x: this.x, y: this.y, loot: loot });
+    if (this.onDeath) this.onDeath(event);
+  }
+  
+  // Roll the loot table and put whatever drops on the floor where the monster fell.
+  // Returns the spawned items.
+  dropLoot() {
+    if (!window.entityManager || typeof spawnItem !== 'function') return [];
+    
+    const drops = this.loot.filter(entry => rng.stream("loot").chance(entry.chance));
+    const tileX = Math.floor(this.x);
+    const tileY = Math.floor(this.y);
+    
+    const items = [];
+    drops.forEach((entry, i) => {
+      // Spread several drops across the tile so they don't overlap
+      const offset = (i - (drops.length - 1) / 2) * 0.25;
+      const item = spawnItem(window.entityManager, entry.item, tileX + 0.5 + offset, tileY + 0.5);
+      if (item) items.push(item);
+    });
     
+    if (items.length > 0 && window.log) {
+      const names = items.map(item => ITEM_TYPES[item.itemType].name).join(", ");
+      window.log(`The ${this.name} drops: ${names}.`);
+    }
+    return items;
+  }
+  
+  // Where the monster lands on screen, or null if it can't be seen
+  getScreenProjection(player, screenW, screenH, fov, castRay) {
     // Calculate vector from player to monster
     const dx = this.x - player.x;
     const dy = this.y - player.y;
@@ -450,45 +761,72 @@ update(dt, player, worldMap, castRay) {
     while (angleDiff < -Math.PI) angleDiff +=2 * Math.PI;
     
     // Only display if within field of view
-    if (Math.abs(angleDiff) > fov/2) return;
+    if (Math.abs(angleDiff) > fov/2) return null;
     
     // Check for wall occlusion
     const ray = castRay(player.x, player.y, angle);
-    if (ray.distance < distance - 0.1) return;
+    if (ray.distance < distance - 0.1) return null;
     
     // Calculate screen position
     const screenX = screenW / 2 + (angleDiff / (fov/2)) * (screenW / 2);
     
-	// Calculate size based on distance, with reduced divisor to bring monster closer
-	const scale = 1.0 / (distance * 0.5);  // Adjust the 0.5 to control closeness
-	const spriteHeight = this.height * scale * screenH * 0.5;
-	const spriteWidth = this.width * scale * screenH * 0.5;
-
-    
-    // Position vertically centered
-    const screenY = screenH / 2 - spriteHeight / 2;
-    
-    // Get the animation frames
-    const normalFrames = monsterTextures[this.monsterType] ? 
-                       monsterTextures[this.monsterType].frames : 
+    // Calculate size based on distance, with reduced divisor to bring monster closer
+    const scale = 1.0 / (distance * 0.5);  // Adjust the 0.5 to control closeness
+    const spriteHeight = this.height * scale * screenH * 0.5;
+    const spriteWidth = this.width * scale * screenH * 0.5;
+    
+    return {
+      screenX: screenX,
+      // Position vertically centered
+      screenY: screenH / 2 - spriteHeight / 2,
+      // Where the floor meets a wall at this distance
+      floorY: screenH / 2 + scale * screenH * 0.25,
+      spriteWidth: spriteWidth,
+      spriteHeight: spriteHeight
+    };
+  }
+  
+  // Texture for the current animation frame, or null if there isn't one
+  getCurrentTexture() {
+    // Get the animation frames (variants like archers share their sprite's frames)
+    const textureKey = monsterTextures[this.monsterType] ? this.monsterType : this.sprite;
+    const normalFrames = monsterTextures[textureKey] ? 
+                       monsterTextures[textureKey].frames : 
                        null;
-    const attackFrames = monsterAttackTextures[this.monsterType] ? 
-                       monsterAttackTextures[this.monsterType].frames : 
+    const attackFrames = monsterAttackTextures[textureKey] ? 
+                       monsterAttackTextures[textureKey].frames : 
                        null;
     
-    let currentTexture = null;
-    
     // Determine which frames to use
     if (this.properties.isAttacking && attackFrames && attackFrames.length > 0) {
       // Use attack animation frames
       const frameIndex = this.properties.attackAnimationFrame % attackFrames.length;
-      currentTexture = attackFrames[frameIndex];
+      return attackFrames[frameIndex];
     } else if (normalFrames && normalFrames.length > 0) {
       // Use normal animation frames
       const frameIndex = this.properties.animationFrame % normalFrames.length;
-      currentTexture = normalFrames[frameIndex];
+      return normalFrames[frameIndex];
+    }
+    return null;
+  }
+  
+  render(ctx, player, screenW, screenH, fov, castRay) {
+    if (!this.visible || (!this.active && !this.dead)) return;
+    
+    // Make sure all required parameters exist
+    if (!ctx || !player || !screenW || !screenH || !fov || !castRay) return;
+    
+    const projection = this.getScreenProjection(player, screenW, screenH, fov, castRay);
+    if (!projection) return;
+    
+    if (this.dead) {
+      this.renderDeath(ctx, projection);
+      return;
     }
     
+    const { screenX, screenY, spriteWidth, spriteHeight } = projection;
+    const currentTexture = this.getCurrentTexture();
+    
     // Draw the sprite
     if (currentTexture && currentTexture.complete) {
       ctx.drawImage(
@@ -509,6 +847,85 @@ update(dt, player, worldMap, castRay) {
     ctx.textAlign = "center";
     ctx.fillText(`${this.name}`, screenX, screenY - 15);
     ctx.fillText(`HP: ${this.properties.health}`, screenX, screenY - 5);
+    
+    // Stack active status effects above the name
+    if (window.getStatusLabels) {
+      window.getStatusLabels(this).forEach((label, i) => {
+        ctx.fillStyle = label.color;
+        ctx.fillText(label.text, screenX, screenY - 25 - i * 10);
+      });
+    }
+  }
+  
+  // Death animation, then the remains until the corpse timer runs out
+  renderDeath(ctx, projection) {
+    const { screenX, screenY, floorY, spriteWidth, spriteHeight } = projection;
+    const elapsed = simulationTime() - this.deathTime;
+    const progress = Math.min(1, elapsed / MONSTER_DEATH_ANIMATION_MS);
+    
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, Math.min(1, (MONSTER_CORPSE_DURATION_MS - elapsed) / MONSTER_CORPSE_FADE_MS));
+    
+    // Use the sprite sheet's death frames when they're available; the last one
+    // stays on the floor as the corpse
+    const sheet = window.getSpriteSheet ? window.getSpriteSheet(this.sprite) : null;
+    if (sheet && sheet.isReady()) {
+      const frames = sheet.getAnimationFrames("death");
+      const frame = frames[Math.min(frames.length - 1, Math.floor(progress * frames.length))];
+      sheet.drawFrame(ctx, frame, screenX - spriteWidth / 2, screenY, spriteWidth, spriteHeight);
+      ctx.restore();
+      return;
+    }
+    
+    if (progress < 1) {
+      // Collapse onto the floor
+      const height = spriteHeight * (1 - progress);
+      const top = floorY - height;
+      const texture = this.getCurrentTexture();
+      ctx.globalAlpha *= 1 - progress * 0.5;
+      if (texture && texture.complete) {
+        ctx.drawImage(texture, screenX - spriteWidth / 2, top, spriteWidth, height);
+      } else {
+        this.drawFallbackSprite(ctx, screenX, top, spriteWidth, height);
+      }
+    } else {
+      this.drawRemains(ctx, screenX, floorY, spriteWidth);
+    }
+    
+    ctx.restore();
+  }
+  
+  // Flat decal lying on the floor: a pile of bones or a body in a pool of blood
+  drawRemains(ctx, screenX, floorY, spriteWidth) {
+    const halfWidth = spriteWidth / 2;
+    const halfHeight = Math.max(1, spriteWidth * 0.08);
+    
+    if (this.remains === "bones") {
+      ctx.strokeStyle = "#DDD";
+      ctx.lineWidth = Math.max(1, spriteWidth * 0.04);
+      ctx.beginPath();
+      ctx.moveTo(screenX - halfWidth * 0.7, floorY - halfHeight);
+      ctx.lineTo(screenX + halfWidth * 0.5, floorY + halfHeight * 0.5);
+      ctx.moveTo(screenX - halfWidth * 0.5, floorY + halfHeight * 0.5);
+      ctx.lineTo(screenX + halfWidth * 0.7, floorY - halfHeight);
+      ctx.stroke();
+      
+      // Skull
+      ctx.fillStyle = "#EEE";
+      ctx.beginPath();
+      ctx.arc(screenX + halfWidth * 0.6, floorY - halfHeight * 1.5, halfHeight * 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.fillStyle = "rgba(100, 0, 0, 0.7)";
+      ctx.beginPath();
+      ctx.ellipse(screenX, floorY, halfWidth, halfHeight * 1.5, 0, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.fillStyle = this.color || "red";
+      ctx.beginPath();
+      ctx.ellipse(screenX, floorY - halfHeight * 0.5, halfWidth * 0.7, halfHeight, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
   }
   
   drawFallbackSprite(ctx, screenX, screenY, spriteWidth, spriteHeight) {
@@ -530,19 +947,30 @@ update(dt, player, worldMap, castRay) {
     ctx.arc(this.x * tileSize, this.y * tileSize, tileSize/2, 0, Math.PI * 2);
     ctx.fill();
     
-    // If chasing player, draw a line to the target
-    if (this.state === "chase" && this.targetX !== null) {
-      ctx.strokeStyle = "yellow";
+    // Draw the route being followed (yellow when chasing, grey on patrol)
+    if ((this.state === "chase" || this.state === "patrol") && this.path && this.path.length > 0) {
+      ctx.strokeStyle = this.state === "chase" ? "yellow" : "rgba(200, 200, 200, 0.6)";
       ctx.setLineDash([2, 2]);
       ctx.beginPath();
       ctx.moveTo(this.x * tileSize, this.y * tileSize);
-      ctx.lineTo(this.targetX * tileSize, this.targetY * tileSize);
+      for (const step of this.path) {
+        ctx.lineTo((step.x + 0.5) * tileSize, (step.y + 0.5) * tileSize);
+      }
       ctx.stroke();
       ctx.setLineDash([]);
     }
   }
 }
 
+// Call listener(event) whenever a monster dies. This is the "entity:died"
+// event (see events.js): the monster is event.entity, with where it fell
+// (x, y) and the loot it dropped. Returns a function that unsubscribes.
+function onMonsterDeath(listener) {
+  return gameEvents.on("entity:died", event => {
+    if (event.entity.type === "monster") listener(event);
+  });
+}
+
 // Factory function for creating monsters
 function createMonster(type, x, y, properties = {}) {
   return new Monster(type, x, y, properties);
@@ -558,6 +986,7 @@ function spawnMonster(entityManager, type, x, y, properties = {}) {
 // Make functions globally available
 window.createMonster = createMonster;
 window.spawnMonster = spawnMonster;
+window.onMonsterDeath = onMonsterDeath;
 window.MONSTER_TYPES = MONSTER_TYPES;
 window.monsterTextures = monsterTextures;
 window.monsterAttackTextures = monsterAttackTextures;
@@ -0,0 +1,396 @@
+// party.js - The adventuring party for Might of the Beholder
+// Four characters share the party's grid position; each has its own stats,
+// row and conditions. The character panel portraits are driven from here.
+
+// ==================== CONDITIONS ====================
+const CONDITIONS = {
+  POISONED: "poisoned",
+  UNCONSCIOUS: "unconscious",
+  DEAD: "dead"
+};
+
+// ==================== STARTING ROSTER ====================
+// Attributes follow the Might and Magic set
+const PARTY_ROSTER = [
+  {
+    name: "Sir Caneghem",
+    characterClass: "Knight",
+    portrait: "assets/images/SirCaneghemMM3.webp",
+    row: "front",
+    hp: 45, sp: 0, armorClass: 11,
+    attributes: { might: 18, intellect: 8, personality: 10, endurance: 17, speed: 12, accuracy: 14, luck: 9 },
+    equipment: { weapon: "longsword", armor: "chainMail" },
+    inventory: ["healingPotion"]
+  },
+  {
+    name: "Maximus",
+    characterClass: "Paladin",
+    portrait: "assets/images/MaximusMM3.webp",
+    row: "front",
+    hp: 38, sp: 8, armorClass: 10,
+    attributes: { might: 15, intellect: 9, personality: 14, endurance: 15, speed: 11, accuracy: 13, luck: 10 },
+    equipment: { weapon: "longsword", armor: "leatherArmor", shield: "woodenShield" },
+    inventory: ["healingPotion"]
+  },
+  {
+    name: "Wizard",
+    characterClass: "Sorcerer",
+    portrait: "assets/images/Wizard.png",
+    row: "back",
+    hp: 20, sp: 24, armorClass: 10,
+    attributes: { might: 8, intellect: 19, personality: 11, endurance: 10, speed: 13, accuracy: 10, luck: 12 },
+    equipment: { weapon: "quarterstaff" },
+    inventory: ["manaPotion", "scrollOfFire"]
+  },
+  {
+    name: "Dark Shade",
+    characterClass: "Robber",
+    portrait: "assets/images/DarkShadeMM3.webp",
+    row: "back",
+    hp: 28, sp: 0, armorClass: 11,
+    attributes: { might: 12, intellect: 10, personality: 8, endurance: 12, speed: 18, accuracy: 17, luck: 16 },
+    equipment: { weapon: "dagger", armor: "leatherArmor" },
+    inventory: []
+  }
+];
+
+// ==================== CHARACTER ====================
+class Character {
+  constructor(index, data) {
+    this.index = index;
+    this.name = data.name;
+    this.characterClass = data.characterClass;
+    this.portrait = data.portrait || null;
+
+    // Hit points and spell points
+    this.maxHp = data.maxHp || data.hp;
+    this.hp = data.hp;
+    this.maxSp = data.maxSp !== undefined ? data.maxSp : data.sp;
+    this.sp = data.sp;
+
+    // Attributes and progression
+    this.attributes = { ...data.attributes };
+    this.level = data.level || 1;
+    this.experience = data.experience || 0;
+
+    // Base armor class before equipment (see getArmorClass)
+    this.armorClass = data.armorClass || 10;
+
+    // "front" or "back" row
+    this.row = data.row || "front";
+
+    // Active conditions (see CONDITIONS)
+    this.conditions = data.conditions ? data.conditions.slice() : [];
+
+    // Backpack and equip slots hold { itemType, charges } objects (see items.js)
+    this.inventory = (data.inventory || []).map(toPartyItem);
+    this.equipment = { weapon: null, armor: null, shield: null, accessory: null };
+    for (const slot in data.equipment || {}) {
+      this.equipment[slot] = data.equipment[slot] ? toPartyItem(data.equipment[slot]) : null;
+    }
+  }
+
+  // Monsters must beat this with d20 + toHit to land a blow
+  getArmorClass() {
+    const bonus = window.getEquipmentBonus ? window.getEquipmentBonus(this, "armorBonus") : 0;
+    return this.armorClass + bonus;
+  }
+
+  hasCondition(condition) {
+    return this.conditions.includes(condition);
+  }
+
+  addCondition(condition) {
+    if (!this.hasCondition(condition)) {
+      this.conditions.push(condition);
+    }
+  }
+
+  removeCondition(condition) {
+    this.conditions = this.conditions.filter(c => c !== condition);
+  }
+
+  isAlive() {
+    return !this.hasCondition(CONDITIONS.DEAD);
+  }
+
+  // Able to attack, cast and be picked as an active character
+  canAct() {
+    return this.isAlive() && !this.hasCondition(CONDITIONS.UNCONSCIOUS);
+  }
+
+  // Apply damage. Dropping to 0 knocks the character out; going below
+  // -endurance kills them. Returns the damage actually taken.
+  takeDamage(amount) {
+    if (!this.isAlive() || amount <= 0) return 0;
+
+    this.hp -= amount;
+
+    if (this.hp <= -this.attributes.endurance) {
+      this.removeCondition(CONDITIONS.UNCONSCIOUS);
+      this.addCondition(CONDITIONS.DEAD);
+    } else if (this.hp <= 0) {
+      this.addCondition(CONDITIONS.UNCONSCIOUS);
+    }
+
+    return amount;
+  }
+
+  // Restore hit points. Dead characters cannot be healed this way.
+  heal(amount) {
+    if (!this.isAlive() || amount <= 0) return 0;
+
+    const before = this.hp;
+    this.hp = Math.min(this.maxHp, this.hp + amount);
+    if (this.hp > 0) {
+      this.removeCondition(CONDITIONS.UNCONSCIOUS);
+    }
+    return this.hp - before;
+  }
+
+  // Spend spell points if there are enough
+  spendSp(amount) {
+    if (this.sp < amount) return false;
+    this.sp -= amount;
+    return true;
+  }
+}
+
+// Roster entries can name items by type only
+function toPartyItem(item) {
+  if (typeof item !== "string") return { ...item };
+  return window.createInventoryItem ? window.createInventoryItem(item) : { itemType: item };
+}
+
+// ==================== PARTY ====================
+class Party {
+  constructor(roster) {
+    this.characters = roster.map((data, index) => new Character(index, data));
+    this.listeners = [];
+
+    // Character the gamepad's attack and spell buttons act for
+    this.selectedIndex = 0;
+  }
+
+  getCharacter(index) {
+    return this.characters[index] || null;
+  }
+
+  // Characters that are still alive (conscious or not)
+  getLiving() {
+    return this.characters.filter(c => c.isAlive());
+  }
+
+  // Characters able to act right now
+  getActive() {
+    return this.characters.filter(c => c.canAct());
+  }
+
+  getSelected() {
+    return this.getCharacter(this.selectedIndex);
+  }
+
+  // Select the next (step 1) or previous (step -1) character able to act.
+  // Returns the selected character.
+  cycleSelected(step) {
+    const count = this.characters.length;
+    for (let i = 1; i <= count; i++) {
+      const index = ((this.selectedIndex + step * i) % count + count) % count;
+      if (this.characters[index].canAct()) {
+        this.selectedIndex = index;
+        break;
+      }
+    }
+    this.notifyChanged();
+    return this.getSelected();
+  }
+
+  getRow(row) {
+    return this.characters.filter(c => c.row === row);
+  }
+
+  // The party is defeated once nobody is left standing
+  isDefeated() {
+    return this.getActive().length === 0;
+  }
+
+  // Register a callback fired whenever character state changes
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  notifyChanged() {
+    for (const listener of this.listeners) {
+      listener(this);
+    }
+  }
+}
+
+// Create the default four-character party
+function createDefaultParty() {
+  return new Party(PARTY_ROSTER);
+}
+
+// ==================== PORTRAIT PANEL ====================
+// Add HP/SP bars to each portrait in the character panel
+function setupPartyPanel(party) {
+  const portraits = document.querySelectorAll("#characterPanel .portrait");
+
+  portraits.forEach((portrait, index) => {
+    const character = party.getCharacter(index);
+    if (!character) return;
+
+    // Show the character's name in place of the "Character N" label
+    const label = portrait.previousElementSibling;
+    if (label && label.tagName === "DIV") {
+      label.textContent = character.name;
+    }
+
+    portrait.style.position = "relative";
+    portrait.title = `${character.name} the ${character.characterClass}`;
+
+    const bars = document.createElement("div");
+    bars.className = "party-bars";
+    bars.style.position = "absolute";
+    bars.style.left = "0";
+    bars.style.right = "0";
+    bars.style.bottom = "0";
+    bars.style.pointerEvents = "none";
+    bars.appendChild(createPartyBar("hp-bar", "#c22"));
+    bars.appendChild(createPartyBar("sp-bar", "#26c"));
+    portrait.appendChild(bars);
+
+    // Status effect badges along the top edge
+    const effects = document.createElement("div");
+    effects.className = "party-effects";
+    effects.style.position = "absolute";
+    effects.style.left = "0";
+    effects.style.right = "0";
+    effects.style.top = "0";
+    effects.style.display = "flex";
+    effects.style.flexWrap = "wrap";
+    effects.style.gap = "2px";
+    effects.style.pointerEvents = "none";
+    portrait.appendChild(effects);
+  });
+
+  party.onChange(updatePartyPanel);
+  updatePartyPanel(party);
+}
+
+// Create one thin stat bar
+function createPartyBar(className, color) {
+  const bar = document.createElement("div");
+  bar.className = className;
+  bar.style.height = "6px";
+  bar.style.background = "rgba(0, 0, 0, 0.6)";
+
+  const fill = document.createElement("div");
+  fill.className = "bar-fill";
+  fill.style.height = "100%";
+  fill.style.width = "100%";
+  fill.style.background = color;
+  fill.style.transition = "width 0.2s";
+  bar.appendChild(fill);
+
+  return bar;
+}
+
+// Refresh portrait bars and condition styling from the party model
+function updatePartyPanel(party) {
+  const portraits = document.querySelectorAll("#characterPanel .portrait");
+
+  portraits.forEach((portrait, index) => {
+    const character = party.getCharacter(index);
+    if (!character) return;
+
+    const hpFill = portrait.querySelector(".hp-bar .bar-fill");
+    const spFill = portrait.querySelector(".sp-bar .bar-fill");
+    if (hpFill) {
+      hpFill.style.width = `${Math.max(0, character.hp / character.maxHp) * 100}%`;
+    }
+    if (spFill) {
+      spFill.style.width = character.maxSp > 0 ? `${Math.max(0, character.sp / character.maxSp) * 100}%` : "0%";
+    }
+
+    // Grey out fallen characters, tint poisoned ones
+    if (!character.isAlive()) {
+      portrait.style.filter = "grayscale(1) brightness(0.4)";
+    } else if (character.hasCondition(CONDITIONS.UNCONSCIOUS)) {
+      portrait.style.filter = "grayscale(1)";
+    } else if (character.hasCondition(CONDITIONS.POISONED)) {
+      portrait.style.filter = "sepia(1) hue-rotate(60deg)";
+    } else {
+      portrait.style.filter = "";
+    }
+
+    updatePortraitEffects(portrait, character);
+
+    // Frame the selected character
+    portrait.style.outline = index === party.selectedIndex ? "2px solid #FFD700" : "";
+
+    portrait.title = `${character.name} the ${character.characterClass} - ` +
+      `HP ${character.hp}/${character.maxHp}, SP ${character.sp}/${character.maxSp}` +
+      (character.conditions.length > 0 ? ` (${character.conditions.join(", ")})` : "");
+  });
+}
+
+// Redraw the status effect badges on one portrait
+function updatePortraitEffects(portrait, character) {
+  const container = portrait.querySelector(".party-effects");
+  if (!container || !window.getStatusLabels) return;
+
+  container.innerHTML = "";
+  for (const label of getStatusLabels(character)) {
+    const badge = document.createElement("span");
+    badge.textContent = label.text;
+    badge.style.font = "bold 10px Arial";
+    badge.style.padding = "1px 3px";
+    badge.style.color = "#000";
+    badge.style.background = label.color;
+    badge.style.borderRadius = "2px";
+    container.appendChild(badge);
+  }
+}
+
+// Float a damage number over a character's portrait
+function showPortraitDamage(index, amount) {
+  const portrait = document.querySelectorAll("#characterPanel .portrait")[index];
+  if (!portrait) return;
+
+  const text = document.createElement("div");
+  text.className = "portrait-damage";
+  text.textContent = `-${amount}`;
+  text.style.position = "absolute";
+  text.style.left = "0";
+  text.style.right = "0";
+  text.style.top = "30%";
+  text.style.textAlign = "center";
+  text.style.fontSize = "28px";
+  text.style.fontWeight = "bold";
+  text.style.color = "#ff3030";
+  text.style.textShadow = "0 0 4px #000, 0 0 2px #000";
+  text.style.pointerEvents = "none";
+  text.style.transition = "transform 0.9s ease-out, opacity 0.9s ease-in";
+  portrait.appendChild(text);
+
+  // Drift up and fade, then clean up
+  requestAnimationFrame(() => {
+    text.style.transform = "translateY(-30px)";
+    text.style.opacity = "0";
+  });
+  setTimeout(() => {
+    if (portrait.contains(text)) portrait.removeChild(text);
+  }, 900);
+}
+
+// Make functions globally available
+window.CONDITIONS = CONDITIONS;
+window.Character = Character;
+window.Party = Party;
+window.createDefaultParty = createDefaultParty;
+window.setupPartyPanel = setupPartyPanel;
+window.updatePartyPanel = updatePartyPanel;
+window.showPortraitDamage = showPortraitDamage;
+
+console.log("Party system loaded successfully!");
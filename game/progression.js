@@ -0,0 +1,260 @@
+// progression.js - Experience and levelling for Might of the Beholder
+// Slain monsters give experience (split between the living party members),
+// characters level up at per-class thresholds and grow in HP, SP and
+// attributes. Spells unlock on their own once a character reaches the spell's
+// level (see spells.js). Also holds the character sheet opened from a portrait.
+
+// ==================== CLASS PROGRESSION ====================
+// thresholds[n] is the total experience needed to reach level n + 1
+// hpPerLevel/spPerLevel are added each level along with an attribute bonus
+// (endurance for HP, spellStat for SP); attributes grow by one point each level.
+const CLASS_PROGRESSION = {
+  Knight: {
+    thresholds: [0, 100, 250, 500, 900, 1500, 2400, 3600],
+    hpPerLevel: 10,
+    spPerLevel: 0,
+    attributes: ["might", "endurance"]
+  },
+  Paladin: {
+    thresholds: [0, 120, 300, 600, 1050, 1700, 2700, 4000],
+    hpPerLevel: 8,
+    spPerLevel: 2,
+    spellStat: "personality",
+    attributes: ["might", "personality"]
+  },
+  Sorcerer: {
+    thresholds: [0, 110, 275, 550, 950, 1600, 2500, 3800],
+    hpPerLevel: 4,
+    spPerLevel: 4,
+    spellStat: "intellect",
+    attributes: ["intellect"]
+  },
+  Robber: {
+    thresholds: [0, 90, 225, 450, 800, 1350, 2200, 3300],
+    hpPerLevel: 6,
+    spPerLevel: 0,
+    attributes: ["speed", "accuracy"]
+  }
+};
+
+// Used for classes without an entry above
+const DEFAULT_PROGRESSION = CLASS_PROGRESSION.Knight;
+
+function getClassProgression(character) {
+  return CLASS_PROGRESSION[character.characterClass] || DEFAULT_PROGRESSION;
+}
+
+// Total experience needed for the character's next level, or null at the cap
+function getNextLevelExperience(character) {
+  const thresholds = getClassProgression(character).thresholds;
+  return character.level < thresholds.length ? thresholds[character.level] : null;
+}
+
+// ==================== EXPERIENCE ====================
+// Share out a slain monster's experience and add it to the score
+function awardMonsterExperience(monster) {
+  const monsterStats = MONSTER_TYPES[monster.properties.monsterType];
+  const experience = monsterStats ? monsterStats.experience || 0 : 0;
+  if (experience <= 0) return;
+
+  if (window.gameState) window.gameState.score += experience;
+  if (!window.party) return;
+
+  const living = party.getLiving();
+  if (living.length === 0) return;
+
+  const share = Math.max(1, Math.floor(experience / living.length));
+  logProgress(`The party gains ${experience} experience.`);
+  for (const character of living) {
+    gainExperience(character, share);
+  }
+  party.notifyChanged();
+}
+
+// Add experience, levelling up as many times as it allows.
+// Returns the number of levels gained.
+function gainExperience(character, amount) {
+  character.experience += amount;
+
+  let levels = 0;
+  let next = getNextLevelExperience(character);
+  while (next !== null && character.experience >= next) {
+    levelUp(character);
+    levels++;
+    next = getNextLevelExperience(character);
+  }
+  return levels;
+}
+
+// Raise a character one level: more HP/SP, better attributes, maybe new spells
+function levelUp(character) {
+  const progression = getClassProgression(character);
+  const spellsBefore = window.getKnownSpells ? getKnownSpells(character) : [];
+
+  character.level++;
+
+  for (const attribute of progression.attributes) {
+    character.attributes[attribute]++;
+  }
+
+  const hpGain = Math.max(1, progression.hpPerLevel + attributeBonus(character.attributes.endurance));
+  character.maxHp += hpGain;
+  if (character.isAlive()) character.hp += hpGain;
+
+  let spGain = 0;
+  if (progression.spPerLevel > 0) {
+    spGain = Math.max(1, progression.spPerLevel + attributeBonus(character.attributes[progression.spellStat]));
+    character.maxSp += spGain;
+    character.sp += spGain;
+  }
+
+  logProgress(`${character.name} reaches level ${character.level}! (+${hpGain} HP` +
+    (spGain > 0 ? `, +${spGain} SP` : "") + ")");
+
+  if (window.getKnownSpells) {
+    for (const spellId of getKnownSpells(character)) {
+      if (!spellsBefore.includes(spellId)) {
+        logProgress(`${character.name} learns ${SPELL_TYPES[spellId].name}!`);
+      }
+    }
+  }
+}
+
+function logProgress(message) {
+  console.log(message);
+  if (window.log) window.log(message);
+}
+
+// ==================== CHARACTER SHEET ====================
+// Click a portrait to open that character's sheet; click it again to close
+function setupCharacterSheet(party) {
+  if (document.getElementById("characterSheet")) return;
+
+  const sheet = document.createElement("div");
+  sheet.id = "characterSheet";
+  sheet.style.position = "fixed";
+  sheet.style.left = "50%";
+  sheet.style.top = "50%";
+  sheet.style.transform = "translate(-50%, -50%)";
+  sheet.style.display = "none";
+  sheet.style.minWidth = "220px";
+  sheet.style.backgroundColor = "rgba(0, 0, 0, 0.9)";
+  sheet.style.color = "white";
+  sheet.style.padding = "10px";
+  sheet.style.border = "1px solid #555";
+  sheet.style.borderRadius = "5px";
+  sheet.style.fontFamily = "Arial, sans-serif";
+  sheet.style.fontSize = "12px";
+  sheet.style.zIndex = "1000";
+  document.body.appendChild(sheet);
+
+  document.querySelectorAll("#characterPanel .portrait").forEach((portrait, index) => {
+    portrait.style.cursor = "pointer";
+    portrait.addEventListener("click", function(e) {
+      // Portraits are wrapped in links; don't follow them
+      e.preventDefault();
+      toggleCharacterSheet(index);
+    });
+  });
+
+  party.onChange(function() {
+    if (sheet.style.display !== "none") {
+      renderCharacterSheet(party.getCharacter(Number(sheet.dataset.charIndex)));
+    }
+  });
+}
+
+function toggleCharacterSheet(charIndex) {
+  const sheet = document.getElementById("characterSheet");
+  if (!sheet || !party) return;
+
+  if (sheet.style.display !== "none" && sheet.dataset.charIndex === String(charIndex)) {
+    sheet.style.display = "none";
+    return;
+  }
+
+  const character = party.getCharacter(charIndex);
+  if (!character) return;
+
+  sheet.dataset.charIndex = String(charIndex);
+  renderCharacterSheet(character);
+  sheet.style.display = "block";
+}
+
+// Rebuild the sheet from the character model
+function renderCharacterSheet(character) {
+  const sheet = document.getElementById("characterSheet");
+  if (!sheet || !character) return;
+  sheet.innerHTML = "";
+
+  const title = document.createElement("div");
+  title.textContent = `${character.name} - Level ${character.level} ${character.characterClass}`;
+  title.style.fontWeight = "bold";
+  title.style.fontSize = "14px";
+  title.style.marginBottom = "5px";
+  sheet.appendChild(title);
+
+  const next = getNextLevelExperience(character);
+  const lines = [
+    `Experience: ${character.experience}` + (next !== null ? ` / ${next}` : " (max level)"),
+    `HP: ${character.hp} / ${character.maxHp}`,
+    `SP: ${character.sp} / ${character.maxSp}`,
+    `Armor Class: ${character.getArmorClass()}`,
+    `Row: ${character.row}`,
+    `Condition: ${character.conditions.length > 0 ? character.conditions.join(", ") : "good"}`
+  ];
+  for (const text of lines) {
+    sheet.appendChild(createSheetLine(text));
+  }
+
+  sheet.appendChild(createSheetHeading("Attributes"));
+  for (const attribute in character.attributes) {
+    const value = character.attributes[attribute];
+    const bonus = attributeBonus(value);
+    sheet.appendChild(createSheetLine(`${attribute}: ${value} (${bonus >= 0 ? "+" : ""}${bonus})`));
+  }
+
+  sheet.appendChild(createSheetHeading("Equipment"));
+  for (const slot of EQUIP_SLOTS) {
+    const item = character.equipment[slot];
+    sheet.appendChild(createSheetLine(`${slot}: ${item ? getItemLabel(item) : "-"}`));
+  }
+
+  if (window.getKnownSpells) {
+    sheet.appendChild(createSheetHeading("Spells"));
+    const spells = getKnownSpells(character);
+    sheet.appendChild(createSheetLine(spells.length > 0 ?
+      spells.map(spellId => SPELL_TYPES[spellId].name).join(", ") : "none"));
+  }
+
+  if (window.gameState) {
+    sheet.appendChild(createSheetHeading(`Party score: ${gameState.score}`));
+  }
+}
+
+function createSheetHeading(text) {
+  const heading = document.createElement("div");
+  heading.textContent = text;
+  heading.style.fontWeight = "bold";
+  heading.style.marginTop = "6px";
+  heading.style.borderTop = "1px solid #444";
+  heading.style.paddingTop = "4px";
+  return heading;
+}
+
+function createSheetLine(text) {
+  const line = document.createElement("div");
+  line.textContent = text;
+  return line;
+}
+
+// Make functions globally available
+window.CLASS_PROGRESSION = CLASS_PROGRESSION;
+window.getNextLevelExperience = getNextLevelExperience;
+window.awardMonsterExperience = awardMonsterExperience;
+window.gainExperience = gainExperience;
+window.levelUp = levelUp;
+window.setupCharacterSheet = setupCharacterSheet;
+window.toggleCharacterSheet = toggleCharacterSheet;
+
+console.log("Progression system loaded successfully!");
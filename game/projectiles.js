@@ -11,7 +11,8 @@ const PROJECTILE_TYPES = {
     color: "#FF5500",
     width: 0.5,
     height: 0.5,
-    collisionEffect: "explosion"
+    collisionEffect: "explosion",
+    statusEffect: "burning"
   },
   
   arrow: {
@@ -35,10 +36,52 @@ const PROJECTILE_TYPES = {
     color: "#0EF",
     width: 0.5,
     height: 0.5,
-    collisionEffect: "freeze"
+    collisionEffect: "freeze",
+    statusEffect: "frozen"
+  },
+  
+  lightning: {
+    name: "Lightning",
+    damage: 16,
+    speed: 12.0,
+    range: 15.0,
+    sprite: "lightning",
+    color: "#FFFF66",
+    width: 0.3,
+    height: 0.3,
+    collisionEffect: "spark",
+    pierce: 2
   }
 };
 
+// Radius the party is hit within (it has no width of its own)
+const PARTY_HIT_RADIUS = 0.25;
+
+// Widest target radius looked for along a projectile's path
+const MAX_TARGET_RADIUS = 1.0;
+
+// Where along the segment (x1,y1)-(x2,y2) a point first comes within radius
+// of (cx,cy): 0 = the start, 1 = the end, null if it never does
+function sweepCircle(x1, y1, x2, y2, cx, cy, radius) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const fx = x1 - cx;
+  const fy = y1 - cy;
+  
+  const c = fx*fx + fy*fy - radius*radius;
+  if (c <= 0) return 0; // Already touching
+  
+  const a = dx*dx + dy*dy;
+  if (a === 0) return null;
+  
+  const b = 2 * (fx*dx + fy*dy);
+  const discriminant = b*b - 4*a*c;
+  if (discriminant < 0) return null;
+  
+  const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+  return t >= 0 && t <= 1 ? t : null;
+}
+
 // Texture loading for projectiles
 const projectileTextures = {};
 
@@ -85,9 +128,13 @@ class Projectile extends Entity {
       collided: false,
       collisionTime: null,
       
+      // Targets it can pass through before stopping, and the ids it went through
+      pierce: projectileStats.pierce || 0,
+      hitIds: [],
+      
       // Simple animation properties
       animationFrame: 0,
-      lastAnimationUpdate: performance.now(),
+      lastAnimationUpdate: simulationTime(),
       
       ...properties
     });
@@ -97,6 +144,7 @@ class Projectile extends Entity {
     this.color = projectileStats.color;
     this.name = projectileStats.name;
     this.collisionEffect = projectileStats.collisionEffect;
+    this.statusEffect = projectileStats.statusEffect || null;
     
     // Calculate expected collision point
     if (properties.castRay) {
@@ -114,19 +162,19 @@ class Projectile extends Entity {
     }
     
     // Creation time
-    this.creationTime = performance.now();
+    this.creationTime = simulationTime();
   }
 
 
 
 
   
-update(dt, entities, worldMap) {
+update(dt, entityManager, worldMap) {
   // Skip if already collided
   if (!this.active || this.collided) return;
   
   // Update animation frame about 10 times per second
-  const now = performance.now();
+  const now = simulationTime();
   if (now - this.properties.lastAnimationUpdate > 100) {
     this.properties.animationFrame = (this.properties.animationFrame + 1) % 3;
     this.properties.lastAnimationUpdate = now;
@@ -138,24 +186,57 @@ update(dt, entities, worldMap) {
   // Store old position for collision checking
   const oldX = this.x;
   const oldY = this.y;
+  const dirX = Math.cos(this.properties.angle);
+  const dirY = Math.sin(this.properties.angle);
   
-  // Calculate new position
-  const newX = this.x + Math.cos(this.properties.angle) * this.properties.speed * deltaSec;
-  const newY = this.y + Math.sin(this.properties.angle) * this.properties.speed * deltaSec;
+  // How far we get this frame, cut short by whatever stops us first
+  let step = this.properties.speed * deltaSec;
+  let stoppedBy = null;
   
-  // Update position
-  this.x = newX;
-  this.y = newY;
+  // Out of range
+  const rangeLeft = this.properties.range - this.properties.distance;
+  if (rangeLeft <= step) {
+    step = Math.max(0, rangeLeft);
+    stoppedBy = "range";
+  }
+  
+  // Reached the expected hit distance
+  if (this.properties.expectedHitDistance) {
+    const expectedLeft = this.properties.expectedHitDistance - this.properties.distance;
+    if (expectedLeft <= step) {
+      step = Math.max(0, expectedLeft);
+      stoppedBy = "expected";
+    }
+  }
+  
+  // Ray trace for collision detection (for distant collisions)
+  if (worldMap && this.properties.castRay) {
+    try {
+      const ray = this.properties.castRay(oldX, oldY, this.properties.angle);
+      const distToWall = ray.distance;
+      
+      // If we would move past a wall in this frame, stop just short of it
+      if (step >= distToWall) {
+        step = Math.max(0, distToWall - 0.01);
+        stoppedBy = "wall";
+      }
+    } catch (e) {
+      console.error("Error in projectile raycasting:", e);
+    }
+  }
   
-  // Calculate distance traveled in this frame
-  const distanceTraveledThisFrame = Math.sqrt((newX - oldX) * (newX - oldX) + (newY - oldY) * (newY - oldY));
+  const newX = oldX + dirX * step;
+  const newY = oldY + dirY * step;
   
-  // Update total distance traveled
-  this.properties.distance += distanceTraveledThisFrame;
+  // Anything between the old and new position is hit first, in order
+  if (this.sweepTargets(entityManager, oldX, oldY, newX, newY)) return;
+  
+  // Update position and total distance traveled
+  this.x = newX;
+  this.y = newY;
+  this.properties.distance += step;
   
-  // Check if we've reached the expected hit distance
-  if (this.properties.expectedHitDistance && this.properties.distance >= this.properties.expectedHitDistance) {
-    console.log(`Fireball reached expected hit point at distance ${this.properties.distance.toFixed(2)}`);
+  if (stoppedBy === "expected") {
     // Set position to the collision point to ensure precise collision
     if (this.collisionPoint) {
       this.x = this.collisionPoint.x;
@@ -165,36 +246,14 @@ update(dt, entities, worldMap) {
     return;
   }
   
-  // Check if out of range
-  if (this.properties.distance >= this.properties.range) {
-    console.log(`Fireball reached maximum range at distance ${this.properties.distance.toFixed(2)}`);
-    this.active = false;
+  if (stoppedBy === "wall") {
+    this.handleCollision("wall");
     return;
   }
   
-  // Ray trace for collision detection (for distant collisions)
-  if (worldMap && this.properties.castRay) {
-    try {
-      const ray = this.properties.castRay(oldX, oldY, this.properties.angle);
-      const distToWall = ray.distance;
-      
-      // If we moved past a wall in this frame, handle the collision
-      if (distanceTraveledThisFrame >= distToWall) {
-        console.log(`Fireball collision detected by raycast at distance ${distToWall.toFixed(2)}`);
-        
-        // Adjust position to collision point
-        const collisionX = oldX + Math.cos(this.properties.angle) * (distToWall - 0.01);
-        const collisionY = oldY + Math.sin(this.properties.angle) * (distToWall - 0.01);
-        
-        this.x = collisionX;
-        this.y = collisionY;
-        
-        this.handleCollision("wall");
-        return;
-      }
-    } catch (e) {
-      console.error("Error in projectile raycasting:", e);
-    }
+  if (stoppedBy === "range") {
+    this.active = false;
+    return;
   }
   
   // Traditional tile-based collision detection
@@ -204,9 +263,8 @@ update(dt, entities, worldMap) {
     
     // Check if tile coordinates are in bounds
     if (tileX >= 0 && tileY >= 0 && tileY < worldMap.length && tileX < worldMap[0].length) {
-      // Check for collision with non-floor tiles
-      if (worldMap[tileY][tileX] !== 0) {
-        console.log(`Fireball hit wall at tile (${tileX}, ${tileY})`);
+      // Check for collision with walls and closed doors
+      if (!isTileWalkable(tileX, tileY)) {
         this.handleCollision("wall");
         return;
       }
@@ -217,31 +275,68 @@ update(dt, entities, worldMap) {
       return;
     }
   }
-  
-  // Check collision with entities
-  if (!entities) return;
-  
-  for (const entity of entities) {
-    // Skip self and source entity
-    if (entity === this || entity === this.properties.sourceEntity) continue;
+}
+
+  // Swept test of this frame's path against everything it can hit, nearest
+  // first. Piercing projectiles pass through their first targets; returns
+  // true once something stopped the projectile.
+  sweepTargets(entityManager, x1, y1, x2, y2) {
+    const ownRadius = this.width / 2;
+    const hits = [];
+    
+    if (entityManager) {
+      const candidates = entityManager.getAlongSegment(x1, y1, x2, y2, ownRadius + MAX_TARGET_RADIUS);
+      for (const { entity } of candidates) {
+        if (!this.canHit(entity)) continue;
+        
+        const t = sweepCircle(x1, y1, x2, y2, entity.x, entity.y, ownRadius + entity.width / 2);
+        if (t !== null) hits.push({ hitType: "entity", target: entity, t: t });
+      }
+    }
+    
+    // Projectiles fired by monsters can hit the party
+    if (this.properties.source === "monster" && window.player) {
+      const t = sweepCircle(x1, y1, x2, y2, window.player.x, window.player.y, ownRadius + PARTY_HIT_RADIUS);
+      if (t !== null) hits.push({ hitType: "party", target: null, t: t });
+    }
     
-    // Skip inactive entities
-    if (!entity.active) continue;
+    hits.sort((a, b) => a.t - b.t);
     
-    // Check if entity can be hit
-    if (entity.type === "monster" || // Monster collision
-        entity.type === "player" ||  // Player collision
-        (entity.type === "projectile" && entity.projectileType !== this.projectileType)) { // Different projectile collision
+    const segmentLength = Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+    for (const hit of hits) {
+      const point = { x: x1 + (x2 - x1) * hit.t, y: y1 + (y2 - y1) * hit.t };
       
-      // Simple distance-based collision
-      const distance = this.distanceTo(entity);
-      if (distance < 0.5) { // Collision radius
-        this.handleCollision("entity", entity);
-        return;
+      if (hit.hitType === "entity" && this.properties.hitIds.length < this.properties.pierce) {
+        this.pierceEntity(hit.target, point);
+        continue;
       }
+      
+      this.properties.distance += segmentLength * hit.t;
+      this.handleCollision(hit.hitType, hit.target, point);
+      return true;
     }
+    return false;
+  }
+  
+  // Whether an entity stands in this projectile's way at all
+  canHit(entity) {
+    // Skip self and source entity
+    if (entity === this || entity === this.properties.sourceEntity) return false;
+    
+    // Skip inactive entities and ones a piercing projectile already went through
+    if (!entity.active || this.properties.hitIds.includes(entity.id)) return false;
+    
+    // Monster projectiles fly past other monsters unless friendly fire is on
+    if (entity.type === "monster") return this.canHitMonsters();
+    
+    return entity.type === "player" ||
+      (entity.type === "projectile" && entity.projectileType !== this.projectileType); // Different projectile collision
+  }
+
+  // Player projectiles always hit monsters; monster ones only with friendly fire
+  canHitMonsters() {
+    return this.properties.source !== "monster" || !!this.properties.friendlyFire;
   }
-}
 
 
 
@@ -259,7 +354,7 @@ update(dt, entities, worldMap) {
     // Mark as collided
     this.collided = true;
     this.active = false;
-    this.collisionTime = performance.now();
+    this.collisionTime = simulationTime();
     
     // If collision point is specified, update our position
     if (collisionPoint) {
@@ -269,25 +364,7 @@ update(dt, entities, worldMap) {
     
     // Handle entity hit
     if (type === "entity" && hitEntity) {
-      // Apply damage
-      if (typeof hitEntity.takeDamage === "function") {
-        const killed = hitEntity.takeDamage(this.properties.damage);
-        console.log(`${this.name} hit ${hitEntity.name || 'entity'} for ${this.properties.damage} damage!`);
-        
-        // Only call log if it exists
-        if (typeof log === "function") {
-          log(`${this.name} hit ${hitEntity.name || 'entity'} for ${this.properties.damage} damage!`);
-        }
-        
-        if (killed) {
-          console.log(`${hitEntity.name || 'Entity'} was defeated!`);
-          
-          // Only call log if it exists
-          if (typeof log === "function") {
-            log(`${hitEntity.name || 'Entity'} was defeated!`);
-          }
-        }
-      }
+      this.damageEntity(hitEntity);
     } else if (type === "wall") {
       console.log(`${this.name} hit a wall at position (${this.x.toFixed(2)}, ${this.y.toFixed(2)})!`);
       
@@ -295,6 +372,11 @@ update(dt, entities, worldMap) {
       if (typeof log === "function") {
         log(`${this.name} hit a wall at position (${this.x.toFixed(2)}, ${this.y.toFixed(2)})!`);
       }
+    } else if (type === "party") {
+      // Let the combat system pick a target and roll the hit
+      if (window.resolveProjectileHit && window.party) {
+        window.resolveProjectileHit(this, window.party);
+      }
     } else if (type === "projectile") {
       console.log(`${this.name} collided with another projectile!`);
       
@@ -303,6 +385,8 @@ update(dt, entities, worldMap) {
         log(`${this.name} collided with another projectile!`);
       }
     }
+    
+    gameEvents.emit("projectile:hit", { projectile: this, hitType: type, target: hitEntity, x: this.x, y: this.y, pierced: false });
       
     // Handle collision effect
     switch(this.collisionEffect) {
@@ -314,8 +398,8 @@ update(dt, entities, worldMap) {
         if (window.entityManager) {
           const nearbyEntities = window.entityManager.getNearby(this.x, this.y, 1.5);
           for (const entity of nearbyEntities) {
-            if (entity !== hitEntity && entity !== this.properties.sourceEntity && 
-                (entity.type === "monster" || entity.type === "player")) {
+            if (entity.active && entity !== hitEntity && entity !== this.properties.sourceEntity && 
+                ((entity.type === "monster" && this.canHitMonsters()) || entity.type === "player")) {
               // Calculate distance for damage falloff
               const distance = this.distanceTo(entity);
               // Damage decreases with distance
@@ -340,25 +424,61 @@ update(dt, entities, worldMap) {
         break;
         
       case "freeze":
-        // Apply a freeze effect to the entity
-        if (hitEntity) {
-          console.log(`${hitEntity.name || 'Entity'} is frozen!`);
-          // Could add frozen state to entity
-          if (hitEntity.properties) {
-            hitEntity.properties.frozen = true;
-            hitEntity.properties.frozenUntil = performance.now() + 3000; // 3 seconds
-          }
-        }
+        // The frozen status effect itself comes from statusEffect on the hit
+        console.log(`${this.name} shatters into ice!`);
+        break;
+        
+      case "spark":
+        console.log(`${this.name} crackles and dies away!`);
         break;
     }
   }
   
+  // Hurt an entity that was hit (damage, then any status effect)
+  damageEntity(hitEntity) {
+    // Apply damage
+    if (typeof hitEntity.takeDamage === "function") {
+      const killed = hitEntity.takeDamage(this.properties.damage);
+      console.log(`${this.name} hit ${hitEntity.name || 'entity'} for ${this.properties.damage} damage!`);
+      
+      // Only call log if it exists
+      if (typeof log === "function") {
+        log(`${this.name} hit ${hitEntity.name || 'entity'} for ${this.properties.damage} damage!`);
+      }
+      
+      if (killed) {
+        console.log(`${hitEntity.name || 'Entity'} was defeated!`);
+        
+        // Only call log if it exists
+        if (typeof log === "function") {
+          log(`${hitEntity.name || 'Entity'} was defeated!`);
+        }
+      } else if (this.statusEffect && window.applyStatusEffect) {
+        // Burning, frozen... (see effects.js)
+        window.applyStatusEffect(hitEntity, this.statusEffect, { source: this.properties.sourceEntity });
+      }
+    }
+  }
+  
+  // Pass through a target, hurting it on the way (piercing projectiles)
+  pierceEntity(entity, point) {
+    this.properties.hitIds.push(entity.id);
+    this.damageEntity(entity);
+    gameEvents.emit("projectile:hit", { projectile: this, hitType: "entity", target: entity, x: point.x, y: point.y, pierced: true });
+  }
+  
   render(ctx, player, screenW, screenH, fov, castRay) {
     if (!this.visible) return;
     
     // Check if all required parameters exist
     if (!ctx || !player || !screenW || !screenH || !fov || !castRay) return;
     
+    // Let other systems (lighting) take over drawing
+    const event = gameEvents.emit("entity:render", {
+      entity: this, ctx: ctx, player: player, screenW: screenW, screenH: screenH, fov: fov, castRay: castRay
+    });
+    if (event.defaultPrevented) return;
+    
     // Calculate vector from player to projectile
     const dx = this.x - player.x;
     const dy = this.y - player.y;
@@ -488,7 +608,7 @@ update(dt, entities, worldMap) {
     // Don't render inactive projectiles that aren't collided
     if (!this.active && !this.collided) return;
     
-    const now = performance.now();
+    const now = simulationTime();
     
     if (this.active) {
       // Active projectile
@@ -569,10 +689,6 @@ function shootProjectile(entityManager, type, sourceEntity, angle, properties =
           x: spawnX + (ray.distance - 0.01) * Math.cos(angle),
           y: spawnY + (ray.distance - 0.01) * Math.sin(angle)
         };
-        
-        console.log(`Fireball expected to hit at (${collisionPoint.x.toFixed(2)}, ${collisionPoint.y.toFixed(2)}) at distance ${ray.distance.toFixed(2)}`);
-      } else {
-        console.log(`Fireball will reach maximum range without hitting anything`);
       }
     } catch (e) {
       console.error("Error calculating projectile collision:", e);
@@ -608,6 +724,7 @@ window.showProjectileDebug = false;
 window.createProjectile = createProjectile;
 window.shootProjectile = shootProjectile;
 window.PROJECTILE_TYPES = PROJECTILE_TYPES;
+window.sweepCircle = sweepCircle;
 window.projectileTextures = projectileTextures;
 
 console.log("Projectile system loaded successfully!");
\ No newline at end of file
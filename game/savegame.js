@@ -0,0 +1,650 @@
+// savegame.js - Save and load for Might of the Beholder
+// Serializes the game state (level, map changes, party, entities, lights,
+// timers and the random streams) to plain JSON. Saves live in localStorage slots and can be exported
+// to / imported from a file. Older saves are upgraded through SAVE_MIGRATIONS.
+
+// ==================== CONSTANTS ====================
+// Bump this whenever the save layout changes, and add a migration below
+const SAVE_FORMAT_VERSION = 4;
+
+// localStorage key prefix and the slots offered in the save menu
+const SAVE_KEY_PREFIX = "beholder.save.";
+const SAVE_SLOTS = ["quick", "1", "2", "3"];
+const QUICKSAVE_SLOT = "quick";
+
+// ==================== MIGRATIONS ====================
+// SAVE_MIGRATIONS[n] upgrades a version n save to version n + 1.
+// Migrations receive the parsed save object and return the upgraded one.
+const SAVE_MIGRATIONS = {
+  // Version 2 added inventories and equipment; older parties start empty-handed
+  1(data) {
+    for (const character of data.party) {
+      character.inventory = [];
+      character.equipment = {};
+    }
+    return data;
+  },
+
+  // Version 3 added doors, levers and other mechanisms; older saves get the
+  // level's starting state
+  2(data) {
+    data.mechanisms = null;
+    return data;
+  },
+
+  // Version 4 added the random seed and stream positions; older saves keep
+  // whatever the current session is using
+  3(data) {
+    data.random = null;
+    return data;
+  }
+};
+
+// Register a migration from one format version to the next
+function registerSaveMigration(fromVersion, migrate) {
+  SAVE_MIGRATIONS[fromVersion] = migrate;
+}
+
+// Bring a save up to SAVE_FORMAT_VERSION, or throw if that isn't possible
+function migrateSaveData(data) {
+  if (!data || typeof data.version !== "number") {
+    throw new Error("Not a Might of the Beholder save file");
+  }
+  if (data.version > SAVE_FORMAT_VERSION) {
+    throw new Error(`Save is from a newer version (${data.version}) of the game`);
+  }
+
+  while (data.version < SAVE_FORMAT_VERSION) {
+    const migrate = SAVE_MIGRATIONS[data.version];
+    if (!migrate) {
+      throw new Error(`No migration from save version ${data.version}`);
+    }
+    data = migrate(data);
+    data.version++;
+  }
+  return data;
+}
+
+// ==================== ENTITY SERIALIZERS ====================
+// Each entity type that should survive a save registers save/load handlers.
+// save(entity) returns plain data; load(data) returns a new entity (or null).
+const SAVE_ENTITY_TYPES = {
+  monster: {
+    save(monster) {
+      return {
+        monsterType: monster.monsterType,
+        state: monster.state,
+        patrolPoints: monster.patrolPoints,
+        currentPatrolIndex: monster.currentPatrolIndex,
+        waitTime: monster.waitTime,
+        lastSawPlayerTime: monster.lastSawPlayerTime,
+        lastAttackTime: monster.lastAttackTime
+      };
+    },
+    load(data) {
+      const monster = createMonster(data.monsterType, data.x, data.y, { patrolPoints: data.patrolPoints });
+      // Saves from before monsters tracked their state have none
+      monster.state = data.state || "idle";
+      monster.currentPatrolIndex = data.currentPatrolIndex || 0;
+      if (monster.patrolPoints && monster.patrolPoints[monster.currentPatrolIndex]) {
+        monster.targetX = monster.patrolPoints[monster.currentPatrolIndex].x;
+        monster.targetY = monster.patrolPoints[monster.currentPatrolIndex].y;
+      }
+      monster.waitTime = data.waitTime || 0;
+      monster.lastSawPlayerTime = data.lastSawPlayerTime || 0;
+      monster.lastAttackTime = data.lastAttackTime || 0;
+      return monster;
+    }
+  },
+
+  projectile: {
+    save(projectile) {
+      // Spent projectiles are only lingering for effect
+      if (projectile.collided) return null;
+
+      const source = projectile.properties.sourceEntity;
+      return {
+        projectileType: projectile.projectileType,
+        sourceId: source === window.player ? "player" : (source ? source.id : null),
+        collisionPoint: projectile.collisionPoint
+      };
+    },
+    load(data) {
+      const projectile = createProjectile(data.projectileType, data.x, data.y, data.properties.angle, {
+        castRay: window.castRay
+      });
+      projectile.collisionPoint = data.collisionPoint;
+      projectile.pendingSourceId = data.sourceId;
+      return projectile;
+    }
+  },
+
+  item: {
+    save(item) {
+      return { itemType: item.itemType };
+    },
+    load(data) {
+      return createItem(data.itemType, data.x, data.y);
+    }
+  }
+};
+
+// Register save/load handlers for another entity type
+function registerSaveEntityType(type, handlers) {
+  SAVE_ENTITY_TYPES[type] = handlers;
+}
+
+// ==================== SERIALIZATION ====================
+// Copy plain data only: functions, entities and the player are dropped
+function toPlainData(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => {
+    if (typeof item === "function") return undefined;
+    if (key !== "" && item && typeof item === "object" &&
+        (item instanceof Entity || item === window.player)) {
+      return undefined;
+    }
+    return item;
+  }));
+}
+
+function serializeStatusEffects(target) {
+  if (!target.statusEffects) return [];
+  return target.statusEffects.map(effect => ({
+    type: effect.type,
+    duration: effect.duration,
+    remaining: effect.remaining,
+    stacks: effect.stacks,
+    damage: effect.damage,
+    tickTimer: effect.tickTimer
+  }));
+}
+
+// Restore effects without re-running their onApply hooks
+function restoreStatusEffects(target, saved) {
+  target.statusEffects = [];
+  if (!saved || !window.StatusEffect) return;
+
+  for (const data of saved) {
+    if (!STATUS_EFFECT_TYPES[data.type]) continue;
+    const effect = new StatusEffect(data.type, { duration: data.duration, damage: data.damage });
+    effect.remaining = data.remaining;
+    effect.stacks = data.stacks;
+    effect.tickTimer = data.tickTimer;
+    target.statusEffects.push(effect);
+  }
+}
+
+function serializeEntity(entity) {
+  const handlers = SAVE_ENTITY_TYPES[entity.type];
+  if (!handlers || !entity.active) return null;
+
+  const data = handlers.save(entity);
+  if (!data) return null;
+
+  return {
+    ...data,
+    type: entity.type,
+    id: entity.id,
+    x: entity.x,
+    y: entity.y,
+    properties: toPlainData(entity.properties),
+    baseSpeed: entity.baseSpeed,
+    statusEffects: serializeStatusEffects(entity)
+  };
+}
+
+function serializeCharacter(character) {
+  return {
+    name: character.name,
+    hp: character.hp,
+    maxHp: character.maxHp,
+    sp: character.sp,
+    maxSp: character.maxSp,
+    attributes: { ...character.attributes },
+    level: character.level,
+    experience: character.experience,
+    armorClass: character.armorClass,
+    row: character.row,
+    conditions: character.conditions.slice(),
+    inventory: toPlainData(character.inventory),
+    equipment: toPlainData(character.equipment),
+    baseSpeed: character.baseSpeed,
+    statusEffects: serializeStatusEffects(character)
+  };
+}
+
+// Tiles that differ from the level as authored (opened doors, revealed walls...)
+function serializeMapChanges(levelNum) {
+  const map = window.worldMap;
+  const level = getLevel(levelNum);
+  if (!map || !level) return [];
+
+  const original = buildWorldMap(level);
+  const changes = [];
+  for (let y = 0; y < map.length; y++) {
+    for (let x = 0; x < map[y].length; x++) {
+      if (!original[y] || original[y][x] !== map[y][x]) {
+        changes.push({ x: x, y: y, tile: map[y][x] });
+      }
+    }
+  }
+  return changes;
+}
+
+function serializeLights() {
+  if (!window.lightingManager) return [];
+  return Object.values(window.lightingManager.lights).map(light => toPlainData(light));
+}
+
+// Build a save object from the current game
+function serializeGame() {
+  return {
+    version: SAVE_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    simulationTime: simulationTime(),
+    gameState: { ...gameState },
+    player: {
+      x: player.isMoving ? player.moveToX : player.x,
+      y: player.isMoving ? player.moveToY : player.y,
+      direction: player.direction
+    },
+    mapChanges: serializeMapChanges(gameState.level),
+    party: party ? party.characters.map(serializeCharacter) : [],
+    entities: entityManager.getAllEntities().map(serializeEntity).filter(data => data !== null),
+    lights: serializeLights(),
+    mechanisms: mechanismManager.serialize(),
+    playerTorchId: window.playerTorchId || null,
+    spellCooldowns: toPlainData(spellCooldowns),
+    meleeCooldown: Array.from(meleeCooldown),
+    random: rng.serialize()
+  };
+}
+
+// ==================== RESTORE ====================
+function restoreMap(levelNum, changes) {
+  const level = getLevel(levelNum);
+  if (!level) throw new Error(`Saved level ${levelNum} no longer exists`);
+
+  const map = buildWorldMap(level);
+  for (const change of changes || []) {
+    if (map[change.y] && map[change.y][change.x] !== undefined) {
+      map[change.y][change.x] = change.tile;
+    }
+  }
+  window.worldMap = map;
+
+  if (window.pathfinder) window.pathfinder.invalidate();
+}
+
+function restorePlayer(saved) {
+  player.x = saved.x;
+  player.y = saved.y;
+  player.direction = saved.direction;
+  player.angle = dirToAngle(saved.direction);
+  player.isMoving = false;
+  player.isTurning = false;
+
+  // No interpolating from wherever the party was before loading
+  delete player.prevX;
+  delete player.prevY;
+  delete player.prevAngle;
+}
+
+function restoreParty(savedCharacters) {
+  if (!party) return;
+
+  savedCharacters.forEach((saved, index) => {
+    const character = party.getCharacter(index);
+    if (!character) return;
+
+    const { statusEffects, ...fields } = saved;
+    Object.assign(character, fields);
+    character.attributes = { ...saved.attributes };
+    character.conditions = saved.conditions.slice();
+    if (saved.baseSpeed === undefined) delete character.baseSpeed;
+    restoreStatusEffects(character, statusEffects);
+  });
+
+  party.notifyChanged();
+}
+
+function restoreEntities(savedEntities) {
+  // Start from an empty world
+  for (const entity of entityManager.getAllEntities()) {
+    entityManager.remove(entity.id);
+  }
+
+  const restored = [];
+  for (const data of savedEntities) {
+    const handlers = SAVE_ENTITY_TYPES[data.type];
+    if (!handlers) {
+      console.warn(`Skipping saved entity of unknown type "${data.type}"`);
+      continue;
+    }
+
+    const entity = handlers.load(data);
+    if (!entity) continue;
+
+    entity.id = data.id;
+    entity.x = data.x;
+    entity.y = data.y;
+    Object.assign(entity.properties, data.properties);
+    if (data.baseSpeed !== undefined) entity.baseSpeed = data.baseSpeed;
+    restoreStatusEffects(entity, data.statusEffects);
+
+    entityManager.add(entity);
+    restored.push(entity);
+  }
+
+  // Re-link projectiles to whoever fired them now that every id exists again
+  for (const entity of restored) {
+    if (entity.pendingSourceId === undefined) continue;
+    entity.properties.sourceEntity = entity.pendingSourceId === "player" ?
+      window.player : (entityManager.getById(entity.pendingSourceId) || null);
+    delete entity.pendingSourceId;
+  }
+}
+
+function restoreLights(savedLights, playerTorchId) {
+  const manager = window.lightingManager;
+  if (!manager || !window.Light) return;
+
+  for (const id of Object.keys(manager.lights)) {
+    manager.removeLight(id);
+  }
+
+  for (const data of savedLights) {
+    const light = new Light(data.type, data);
+    Object.assign(light, data);
+    manager.addLight(light);
+  }
+
+  window.playerTorchId = playerTorchId;
+}
+
+// Replace the running game with a save object
+function loadGameData(data) {
+  data = migrateSaveData(data);
+
+  restoreMap(data.gameState.level, data.mapChanges);
+  mechanismManager.load(getLevel(data.gameState.level), window.worldMap);
+  mechanismManager.restore(data.mechanisms);
+  Object.assign(gameState, data.gameState);
+  restorePlayer(data.player);
+  restoreParty(data.party);
+  restoreEntities(data.entities);
+  restoreLights(data.lights, data.playerTorchId);
+
+  for (let i = 0; i < spellCooldowns.length; i++) {
+    spellCooldowns[i] = data.spellCooldowns && data.spellCooldowns[i] ? { ...data.spellCooldowns[i] } : {};
+  }
+  for (let i = 0; i < meleeCooldown.length; i++) {
+    meleeCooldown[i] = data.meleeCooldown ? data.meleeCooldown[i] || 0 : 0;
+  }
+
+  // Last, so rebuilding entities and lights above doesn't move the streams
+  rng.restore(data.random);
+  if (window.updateControlPanelButtons) window.updateControlPanelButtons();
+
+  // Every saved timestamp is relative to the simulation clock
+  simulationLoop.time = data.simulationTime;
+  simulationLoop.accumulator = 0;
+
+  gameEvents.emit("save:loaded", { data: data });
+}
+
+// ==================== SLOTS ====================
+function saveGameToSlot(slot) {
+  try {
+    const data = serializeGame();
+    localStorage.setItem(SAVE_KEY_PREFIX + slot, JSON.stringify(data));
+    if (window.log) window.log(slot === QUICKSAVE_SLOT ? "Game quicksaved." : `Game saved to slot ${slot}.`);
+    return true;
+  } catch (e) {
+    console.error(`Failed to save to slot ${slot}:`, e);
+    if (window.log) window.log("Could not save the game!");
+    return false;
+  }
+}
+
+function loadGameFromSlot(slot) {
+  const json = localStorage.getItem(SAVE_KEY_PREFIX + slot);
+  if (!json) {
+    if (window.log) window.log(slot === QUICKSAVE_SLOT ? "No quicksave to load." : `Slot ${slot} is empty.`);
+    return false;
+  }
+
+  try {
+    loadGameData(JSON.parse(json));
+    if (window.log) window.log(slot === QUICKSAVE_SLOT ? "Quicksave loaded." : `Loaded slot ${slot}.`);
+    return true;
+  } catch (e) {
+    console.error(`Failed to load slot ${slot}:`, e);
+    if (window.log) window.log(`Could not load save: ${e.message}`);
+    return false;
+  }
+}
+
+function deleteSaveSlot(slot) {
+  localStorage.removeItem(SAVE_KEY_PREFIX + slot);
+}
+
+// Summary of every slot for the save menu
+function listSaveSlots() {
+  return SAVE_SLOTS.map(slot => {
+    let info = null;
+    try {
+      const data = JSON.parse(localStorage.getItem(SAVE_KEY_PREFIX + slot));
+      if (data) {
+        const level = getLevel(data.gameState.level);
+        info = { savedAt: data.savedAt, level: level ? level.name : `Level ${data.gameState.level}`, version: data.version };
+      }
+    } catch (e) {
+      info = { corrupt: true };
+    }
+    return { slot: slot, info: info };
+  });
+}
+
+function quickSave() {
+  return saveGameToSlot(QUICKSAVE_SLOT);
+}
+
+function quickLoad() {
+  return loadGameFromSlot(QUICKSAVE_SLOT);
+}
+
+// ==================== FILES ====================
+// Download the current game as a .json file
+function exportSaveFile() {
+  const json = JSON.stringify(serializeGame(), null, 2);
+  const blob = new Blob([json], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `beholder-save-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  if (window.log) window.log("Save file exported.");
+}
+
+// Load a game from a File picked by the player
+function importSaveFile(file) {
+  const reader = new FileReader();
+  reader.onload = function() {
+    try {
+      loadGameData(JSON.parse(reader.result));
+      if (window.log) window.log(`Loaded ${file.name}.`);
+    } catch (e) {
+      console.error("Failed to import save file:", e);
+      if (window.log) window.log(`Could not import save: ${e.message}`);
+    }
+  };
+  reader.readAsText(file);
+}
+
+// ==================== SAVE MENU ====================
+// Whether opening the menu is what paused the game
+let pausedBySaveMenu = false;
+
+function createSaveMenu() {
+  if (document.getElementById("saveMenu")) return;
+
+  const menu = document.createElement("div");
+  menu.id = "saveMenu";
+  menu.style.position = "fixed";
+  menu.style.top = "50%";
+  menu.style.left = "50%";
+  menu.style.transform = "translate(-50%, -50%)";
+  menu.style.backgroundColor = "rgba(0, 0, 0, 0.85)";
+  menu.style.color = "white";
+  menu.style.padding = "15px";
+  menu.style.borderRadius = "5px";
+  menu.style.fontFamily = "Arial, sans-serif";
+  menu.style.fontSize = "13px";
+  menu.style.zIndex = "1000";
+  menu.style.minWidth = "320px";
+  menu.style.display = "none";
+  document.body.appendChild(menu);
+
+  // Hidden file input for imports
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".json,application/json";
+  fileInput.style.display = "none";
+  fileInput.onchange = function() {
+    if (fileInput.files.length > 0) importSaveFile(fileInput.files[0]);
+    fileInput.value = "";
+    hideSaveMenu();
+  };
+  document.body.appendChild(fileInput);
+  menu.fileInput = fileInput;
+}
+
+function createSaveMenuButton(label, onClick) {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.style.marginLeft = "5px";
+  button.style.padding = "3px 8px";
+  button.style.backgroundColor = "#444";
+  button.style.color = "white";
+  button.style.border = "none";
+  button.style.borderRadius = "3px";
+  button.style.cursor = "pointer";
+  button.onclick = onClick;
+  return button;
+}
+
+// Rebuild the slot list from localStorage
+function refreshSaveMenu() {
+  const menu = document.getElementById("saveMenu");
+  if (!menu) return;
+
+  const fileInput = menu.fileInput;
+  menu.innerHTML = "";
+  menu.fileInput = fileInput;
+
+  const title = document.createElement("div");
+  title.textContent = "Save / Load (F2)";
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "10px";
+  menu.appendChild(title);
+
+  for (const { slot, info } of listSaveSlots()) {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.marginBottom = "5px";
+
+    const label = document.createElement("span");
+    label.style.flex = "1";
+    const name = slot === QUICKSAVE_SLOT ? "Quicksave" : `Slot ${slot}`;
+    if (!info) {
+      label.textContent = `${name}: empty`;
+    } else if (info.corrupt) {
+      label.textContent = `${name}: unreadable`;
+    } else {
+      label.textContent = `${name}: ${info.level}, ${new Date(info.savedAt).toLocaleString()}`;
+    }
+    row.appendChild(label);
+
+    row.appendChild(createSaveMenuButton("Save", function() {
+      saveGameToSlot(slot);
+      refreshSaveMenu();
+    }));
+
+    const loadButton = createSaveMenuButton("Load", function() {
+      if (loadGameFromSlot(slot)) hideSaveMenu();
+    });
+    loadButton.disabled = !info || !!info.corrupt;
+    row.appendChild(loadButton);
+
+    menu.appendChild(row);
+  }
+
+  const fileRow = document.createElement("div");
+  fileRow.style.marginTop = "10px";
+  fileRow.style.textAlign = "right";
+  fileRow.appendChild(createSaveMenuButton("Export file", exportSaveFile));
+  fileRow.appendChild(createSaveMenuButton("Import file", function() {
+    fileInput.click();
+  }));
+  fileRow.appendChild(createSaveMenuButton("Close", hideSaveMenu));
+  menu.appendChild(fileRow);
+}
+
+function showSaveMenu() {
+  createSaveMenu();
+  refreshSaveMenu();
+  document.getElementById("saveMenu").style.display = "block";
+
+  pausedBySaveMenu = !isGamePaused();
+  pauseGame();
+}
+
+function hideSaveMenu() {
+  const menu = document.getElementById("saveMenu");
+  if (!menu) return;
+  menu.style.display = "none";
+
+  if (pausedBySaveMenu) {
+    pausedBySaveMenu = false;
+    resumeGame();
+  }
+}
+
+function isSaveMenuOpen() {
+  const menu = document.getElementById("saveMenu");
+  return !!menu && menu.style.display !== "none";
+}
+
+function toggleSaveMenu() {
+  if (isSaveMenuOpen()) {
+    hideSaveMenu();
+  } else {
+    showSaveMenu();
+  }
+}
+
+// Make functions globally available
+window.SAVE_FORMAT_VERSION = SAVE_FORMAT_VERSION;
+window.registerSaveMigration = registerSaveMigration;
+window.registerSaveEntityType = registerSaveEntityType;
+window.serializeGame = serializeGame;
+window.loadGameData = loadGameData;
+window.saveGameToSlot = saveGameToSlot;
+window.loadGameFromSlot = loadGameFromSlot;
+window.deleteSaveSlot = deleteSaveSlot;
+window.listSaveSlots = listSaveSlots;
+window.quickSave = quickSave;
+window.quickLoad = quickLoad;
+window.exportSaveFile = exportSaveFile;
+window.importSaveFile = importSaveFile;
+window.toggleSaveMenu = toggleSaveMenu;
+window.isSaveMenuOpen = isSaveMenuOpen;
+
+console.log("Save system loaded successfully!");
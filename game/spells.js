@@ -0,0 +1,486 @@
+// spells.js - Spell book for Might of the Beholder
+// Every spell is data: cost, cooldown, target type, school, level requirement
+// and a cast() function that does the work. Characters learn the spells of
+// their class's schools up to their level; casting spends spell points.
+
+// ==================== CONSTANTS ====================
+// What a spell is aimed at
+const SPELL_TARGETS = {
+  SELF: "self",             // The caster
+  PARTY: "party",           // One party member (the most wounded)
+  PROJECTILE: "projectile", // Fired straight ahead from the party
+  AREA: "area",             // Everything around the party
+  TILE_AHEAD: "tileAhead"   // The tile directly in front of the party
+};
+
+const SPELL_SCHOOLS = {
+  SORCERY: "sorcery",
+  CLERICAL: "clerical"
+};
+
+// Which schools each class can learn
+const CLASS_SPELL_SCHOOLS = {
+  Knight: [],
+  Paladin: [SPELL_SCHOOLS.CLERICAL],
+  Cleric: [SPELL_SCHOOLS.CLERICAL],
+  Sorcerer: [SPELL_SCHOOLS.SORCERY],
+  Archer: [SPELL_SCHOOLS.SORCERY],
+  Robber: []
+};
+
+// ==================== SPELL TYPES ====================
+const SPELL_TYPES = {
+  fireball: {
+    name: "Fireball",
+    icon: "🔥",
+    school: SPELL_SCHOOLS.SORCERY,
+    level: 1,
+    cost: 4,
+    cooldown: 2000,
+    target: SPELL_TARGETS.PROJECTILE,
+    projectile: "fireball",
+    damage: 10,
+    cast: castProjectileSpell
+  },
+
+  iceBolt: {
+    name: "Ice Bolt",
+    icon: "❄️",
+    school: SPELL_SCHOOLS.SORCERY,
+    level: 1,
+    cost: 3,
+    cooldown: 1500,
+    target: SPELL_TARGETS.PROJECTILE,
+    projectile: "iceSpell",
+    damage: 8,
+    cast: castProjectileSpell
+  },
+
+  lightning: {
+    name: "Lightning",
+    icon: "⚡",
+    school: SPELL_SCHOOLS.SORCERY,
+    level: 3,
+    cost: 8,
+    cooldown: 3000,
+    target: SPELL_TARGETS.PROJECTILE,
+    projectile: "lightning",
+    damage: 16,
+    cast: castProjectileSpell
+  },
+
+  shockingGrasp: {
+    name: "Shocking Grasp",
+    icon: "✋",
+    school: SPELL_SCHOOLS.SORCERY,
+    level: 1,
+    cost: 2,
+    cooldown: 1000,
+    target: SPELL_TARGETS.TILE_AHEAD,
+    damage: 6,
+    cast(caster, tile, spell) {
+      // Only works on a monster within arm's reach
+      const monster = tile.monster;
+      if (!monster) return null;
+
+      const damage = Math.max(1, rollRange(1, spell.damage) + attributeBonus(caster.attributes.intellect) +
+        getEquipmentBonus(caster, "spellDamage"));
+      const killed = monster.takeDamage(damage);
+      return `${caster.name}'s touch jolts ${monster.name} for ${damage} damage!` +
+        (killed ? ` ${monster.name} has been slain!` : "");
+    }
+  },
+
+  heal: {
+    name: "Heal",
+    icon: "✚",
+    school: SPELL_SCHOOLS.CLERICAL,
+    level: 1,
+    cost: 4,
+    cooldown: 1500,
+    target: SPELL_TARGETS.PARTY,
+    amount: 8,
+    cast(caster, target, spell) {
+      const healed = target.heal(rollRange(spell.amount, spell.amount + 4) + attributeBonus(caster.attributes.personality));
+      return `${caster.name} heals ${target.name} for ${healed} HP.`;
+    }
+  },
+
+  light: {
+    name: "Light",
+    icon: "💡",
+    school: SPELL_SCHOOLS.SORCERY,
+    level: 1,
+    cost: 2,
+    cooldown: 1000,
+    target: SPELL_TARGETS.SELF,
+    duration: 60000,
+    cast(caster, target, spell) {
+      if (!window.lightingManager || !window.Light) return null;
+
+      // Only one magic light at a time; recasting renews it
+      for (const light of getSpellLights()) {
+        window.lightingManager.removeLight(light.id);
+      }
+
+      const light = new Light(LightType.POINT, {
+        color: "#ddeeff",
+        intensity: 1.2,
+        radius: 8.0,
+        z: 0.9,
+        x: player.x,
+        y: player.y
+      });
+      light.followsParty = true;
+      light.spellExpiresAt = simulationTime() + spell.duration;
+      window.lightingManager.addLight(light);
+
+      return `${caster.name} conjures a floating light.`;
+    }
+  },
+
+  detectMagic: {
+    name: "Detect Magic",
+    icon: "👁️",
+    school: SPELL_SCHOOLS.SORCERY,
+    level: 2,
+    cost: 2,
+    cooldown: 1000,
+    target: SPELL_TARGETS.AREA,
+    radius: 8,
+    cast(caster, area) {
+      const found = entityManager.getNearby(area.x, area.y, area.radius).filter(isMagicalEntity);
+      if (found.length === 0) {
+        return `${caster.name} senses no magic nearby.`;
+      }
+
+      for (const entity of found) {
+        logSpell(`You sense magic: ${entity.name}, ${describeBearing(area, entity)}.`);
+      }
+      return `${caster.name} senses ${found.length} source${found.length === 1 ? "" : "s"} of magic.`;
+    }
+  }
+};
+
+// ==================== SPELL BOOK ====================
+// Simulation time at which each character can cast each spell again
+var spellCooldowns = [{}, {}, {}, {}];
+
+function getSpellDef(spellId) {
+  return SPELL_TYPES[spellId] || null;
+}
+
+// Spells a character could ever learn, whatever their level
+function getSpellSchools(character) {
+  return CLASS_SPELL_SCHOOLS[character.characterClass] || [];
+}
+
+function knowsSpell(character, spellId) {
+  const spell = getSpellDef(spellId);
+  return !!spell && getSpellSchools(character).includes(spell.school) && character.level >= spell.level;
+}
+
+// Spell ids a character can cast at their current level
+function getKnownSpells(character) {
+  return Object.keys(SPELL_TYPES).filter(spellId => knowsSpell(character, spellId));
+}
+
+// Milliseconds until the character can cast the spell again (0 when ready)
+function getSpellCooldownRemaining(character, spellId) {
+  const cooldowns = spellCooldowns[character.index] || {};
+  return Math.max(0, (cooldowns[spellId] || 0) - simulationTime());
+}
+
+// Why the character can't cast the spell right now, or null if they can
+function getSpellProblem(character, spellId) {
+  const spell = getSpellDef(spellId);
+  if (!spell) return "There is no such spell.";
+  if (!knowsSpell(character, spellId)) return `${character.name} doesn't know ${spell.name}.`;
+  if (character.sp < spell.cost) return `${character.name} doesn't have enough spell points for ${spell.name}.`;
+  if (getSpellCooldownRemaining(character, spellId) > 0) return `${character.name} can't cast ${spell.name} yet!`;
+  return null;
+}
+
+// ==================== CASTING ====================
+// Cast a spell. Returns { success, message }.
+// Options:
+//   free   - skip the spell book, cost and cooldown (scrolls and wands)
+//   damage - base damage instead of the spell's own
+function castSpell(character, spellId, options = {}) {
+  const spell = getSpellDef(spellId);
+  if (!spell) return { success: false, message: "There is no such spell." };
+
+  if (!options.free) {
+    const problem = getSpellProblem(character, spellId);
+    if (problem) return { success: false, message: problem };
+  }
+
+  const target = resolveSpellTarget(character, spell);
+  if (!target) {
+    const message = spell.target === SPELL_TARGETS.PARTY ? "Nobody in the party is hurt." : `${spell.name} has no target.`;
+    return { success: false, message: message };
+  }
+
+  const message = spell.cast(character, target, spell, options);
+  if (!message) {
+    return { success: false, message: `The ${spell.name} spell fizzles.` };
+  }
+
+  if (!options.free) {
+    character.sp -= spell.cost;
+    if (!spellCooldowns[character.index]) spellCooldowns[character.index] = {};
+    spellCooldowns[character.index][spellId] = simulationTime() + spell.cooldown;
+  }
+
+  if (window.party) window.party.notifyChanged();
+  return { success: true, message: message };
+}
+
+// Work out what a spell acts on from its target type
+function resolveSpellTarget(caster, spell) {
+  switch (spell.target) {
+    case SPELL_TARGETS.SELF:
+      return caster;
+
+    case SPELL_TARGETS.PARTY:
+      return getMostWoundedCharacter();
+
+    case SPELL_TARGETS.PROJECTILE:
+      return { angle: player.angle };
+
+    case SPELL_TARGETS.AREA:
+      return { x: player.x, y: player.y, radius: spell.radius || 1 };
+
+    case SPELL_TARGETS.TILE_AHEAD: {
+      const [dx, dy] = dirDeltas(player.direction);
+      const x = Math.floor(player.x) + dx;
+      const y = Math.floor(player.y) + dy;
+      const monster = entityManager.getAtTile(x, y).find(m => m.type === "monster" && m.active) || null;
+      return { x: x, y: y, monster: monster };
+    }
+  }
+  return null;
+}
+
+// Fire the spell's projectile from the party. Intellect and gear add damage.
+function castProjectileSpell(caster, target, spell, options) {
+  if (typeof shootProjectile !== 'function') return null;
+
+  const baseDamage = options.damage !== undefined ? options.damage : spell.damage;
+  shootProjectile(entityManager, spell.projectile, player, target.angle, {
+    castRay: window.castRay,
+    damage: Math.max(1, baseDamage + attributeBonus(caster.attributes.intellect) +
+      getEquipmentBonus(caster, "spellDamage"))
+  });
+  return `${caster.name} casts ${spell.name}!`;
+}
+
+// ==================== SPELL LIGHTS ====================
+function getSpellLights() {
+  if (!window.lightingManager) return [];
+  return Object.values(window.lightingManager.lights).filter(light => light.spellExpiresAt !== undefined);
+}
+
+// Keep magic lights over the party and put them out when they expire
+function updateSpellLights() {
+  const now = simulationTime();
+  for (const light of getSpellLights()) {
+    if (now >= light.spellExpiresAt) {
+      window.lightingManager.removeLight(light.id);
+      logSpell("The magic light fades away.");
+    } else if (light.followsParty && window.player) {
+      light.x = player.x;
+      light.y = player.y;
+    }
+  }
+}
+
+// ==================== HELPERS ====================
+// Living party member with the lowest share of their hit points, or null if
+// everyone is unhurt
+function getMostWoundedCharacter() {
+  if (!window.party) return null;
+
+  const wounded = party.getLiving().filter(c => c.hp < c.maxHp);
+  if (wounded.length === 0) return null;
+  return wounded.reduce((worst, c) => (c.hp / c.maxHp < worst.hp / worst.maxHp ? c : worst));
+}
+
+// Enchanted items and spellcasting monsters
+function isMagicalEntity(entity) {
+  if (!entity.active) return false;
+
+  if (entity.type === "item") {
+    const itemStats = ITEM_TYPES[entity.itemType];
+    return !!itemStats && !!(itemStats.spell || itemStats.spellDamage);
+  }
+  if (entity.type === "monster") {
+    const projectile = entity.properties.projectile;
+    return !!projectile && Object.values(SPELL_TYPES).some(spell => spell.projectile === projectile);
+  }
+  return false;
+}
+
+// "3 paces to the north-east" from the party's point of view
+function describeBearing(from, entity) {
+  const dx = entity.x - from.x;
+  const dy = entity.y - from.y;
+  const distance = Math.round(Math.sqrt(dx * dx + dy * dy));
+
+  const names = ["east", "south-east", "south", "south-west", "west", "north-west", "north", "north-east"];
+  const octant = (Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) + 8) % 8;
+
+  return distance === 0 ? "right here" : `${distance} pace${distance === 1 ? "" : "s"} to the ${names[octant]}`;
+}
+
+function logSpell(message) {
+  console.log(message);
+  if (window.log) window.log(message);
+}
+
+// ==================== SPELL PICKER ====================
+// Popup listing a character's spells under their spell button.
+// onPick(spellId) is called when a spell is chosen.
+function toggleSpellPicker(charIndex, button, onPick) {
+  let picker = document.getElementById("spellPicker");
+  if (picker && picker.style.display !== "none" && picker.dataset.charIndex === String(charIndex)) {
+    hideSpellPicker();
+    return;
+  }
+
+  if (!picker) {
+    picker = document.createElement("div");
+    picker.id = "spellPicker";
+    picker.style.position = "fixed";
+    picker.style.backgroundColor = "rgba(0, 0, 0, 0.9)";
+    picker.style.color = "white";
+    picker.style.padding = "5px";
+    picker.style.border = "1px solid #555";
+    picker.style.borderRadius = "5px";
+    picker.style.fontFamily = "Arial, sans-serif";
+    picker.style.fontSize = "12px";
+    picker.style.zIndex = "1000";
+    document.body.appendChild(picker);
+
+    // Clicking anywhere else closes it
+    document.addEventListener("click", function(e) {
+      if (!picker.contains(e.target)) hideSpellPicker();
+    });
+  }
+
+  const character = party ? party.getCharacter(charIndex) : null;
+  if (!character) return;
+
+  picker.dataset.charIndex = String(charIndex);
+  renderSpellPicker(picker, character, onPick);
+
+  const rect = button.getBoundingClientRect();
+  picker.style.left = `${rect.left}px`;
+  picker.style.top = `${rect.bottom + 2}px`;
+  picker.style.display = "block";
+}
+
+function hideSpellPicker() {
+  const picker = document.getElementById("spellPicker");
+  if (picker) picker.style.display = "none";
+}
+
+function isSpellPickerOpen() {
+  const picker = document.getElementById("spellPicker");
+  return !!picker && picker.style.display !== "none";
+}
+
+// Keyboard and gamepad: move forward/back walk the list, use picks the
+// highlighted spell and pause closes it. Returns true if the action was used.
+function handleSpellPickerAction(actionId) {
+  if (!isSpellPickerOpen()) return false;
+  const picker = document.getElementById("spellPicker");
+
+  if (actionId === "moveForward" || actionId === "moveBackward") {
+    const count = picker.spellIds.length;
+    if (count > 0) {
+      const step = actionId === "moveForward" ? -1 : 1;
+      picker.highlight = (picker.highlight + step + count) % count;
+      highlightSpellPickerRow(picker);
+    }
+    return true;
+  }
+  if (actionId === "interact" || actionId === "castSelected") {
+    const spellId = picker.spellIds[picker.highlight];
+    hideSpellPicker();
+    if (spellId) picker.onPick(spellId);
+    return true;
+  }
+  if (actionId === "pause") {
+    hideSpellPicker();
+    return true;
+  }
+  return false;
+}
+
+function highlightSpellPickerRow(picker) {
+  picker.querySelectorAll(".spell-row").forEach((row, index) => {
+    row.style.backgroundColor = index === picker.highlight ? "#444" : "";
+  });
+}
+
+// One row per known spell; spells that can't be cast right now are greyed out
+function renderSpellPicker(picker, character, onPick) {
+  picker.innerHTML = "";
+
+  const title = document.createElement("div");
+  title.textContent = `${character.name} - ${character.sp}/${character.maxSp} SP`;
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "3px";
+  picker.appendChild(title);
+
+  const known = getKnownSpells(character);
+  picker.spellIds = known;
+  picker.onPick = onPick;
+  picker.highlight = 0;
+
+  if (known.length === 0) {
+    const none = document.createElement("div");
+    none.textContent = "Knows no spells";
+    none.style.color = "#777";
+    picker.appendChild(none);
+    return;
+  }
+
+  for (const spellId of known) {
+    const spell = SPELL_TYPES[spellId];
+    const ready = getSpellProblem(character, spellId) === null;
+
+    const row = document.createElement("div");
+    row.className = "spell-row";
+    row.textContent = `${spell.icon} ${spell.name} (${spell.cost} SP)`;
+    row.title = `${spell.school}, level ${spell.level}, target: ${spell.target}, cooldown ${spell.cooldown / 1000}s`;
+    row.style.padding = "2px 4px";
+    row.style.cursor = ready ? "pointer" : "default";
+    row.style.color = ready ? "white" : "#777";
+    row.onclick = function(e) {
+      e.stopPropagation();
+      hideSpellPicker();
+      onPick(spellId);
+    };
+    picker.appendChild(row);
+  }
+  highlightSpellPickerRow(picker);
+}
+
+// Make functions globally available
+window.SPELL_TARGETS = SPELL_TARGETS;
+window.SPELL_SCHOOLS = SPELL_SCHOOLS;
+window.SPELL_TYPES = SPELL_TYPES;
+window.getSpellDef = getSpellDef;
+window.knowsSpell = knowsSpell;
+window.getKnownSpells = getKnownSpells;
+window.getSpellCooldownRemaining = getSpellCooldownRemaining;
+window.castSpell = castSpell;
+window.updateSpellLights = updateSpellLights;
+window.toggleSpellPicker = toggleSpellPicker;
+window.hideSpellPicker = hideSpellPicker;
+window.isSpellPickerOpen = isSpellPickerOpen;
+window.handleSpellPickerAction = handleSpellPickerAction;
+
+console.log("Spell system loaded successfully!");
@@ -0,0 +1,109 @@
+// gameloop.test.js - Tests for the fixed-timestep clock (engine/gameloop.js)
+// Run with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SimulationLoop, SIM_STEP_MS, SIM_MAX_STEPS_PER_FRAME } = require("../engine/gameloop.js");
+
+// A loop that records the ticks and step lengths it ran
+function recordingLoop(options = {}) {
+  const ticks = [];
+  const steps = [];
+  const loop = new SimulationLoop({
+    ...options,
+    onBeforeStep: tick => ticks.push(tick),
+    onStep: dt => steps.push(dt)
+  });
+  return { loop, ticks, steps };
+}
+
+test("steps at a fixed rate no matter how frames are spaced", () => {
+  const { loop, steps } = recordingLoop({ step: 10 });
+
+  loop.advance(0);
+  loop.advance(25);
+  assert.strictEqual(steps.length, 2);
+
+  loop.advance(30);
+  assert.strictEqual(steps.length, 3);
+  assert.deepStrictEqual(steps, [10, 10, 10]);
+  assert.strictEqual(loop.time, 30);
+});
+
+test("carries leftover time over and returns it as the interpolation factor", () => {
+  const { loop, steps } = recordingLoop({ step: 10 });
+
+  loop.advance(0);
+  assert.strictEqual(loop.advance(4), 0.4);
+  assert.strictEqual(steps.length, 0);
+
+  // 4 + 9 = 13 ms: one step, 3 ms left over
+  assert.ok(Math.abs(loop.advance(13) - 0.3) < 1e-9);
+  assert.strictEqual(steps.length, 1);
+});
+
+test("runs at most maxStepsPerFrame steps and drops the rest after a stall", () => {
+  const { loop, steps } = recordingLoop({ step: 10, maxStepsPerFrame: 3 });
+
+  loop.advance(0);
+  const alpha = loop.advance(1000);
+  assert.strictEqual(steps.length, 3);
+  assert.strictEqual(alpha, 0);
+  assert.strictEqual(loop.accumulator, 0);
+
+  // The next frame doesn't try to catch up on the dropped time
+  loop.advance(1010);
+  assert.strictEqual(steps.length, 4);
+});
+
+test("keeps the remainder when the step cap is reached exactly", () => {
+  const { loop, steps } = recordingLoop({ step: 10, maxStepsPerFrame: 3 });
+
+  loop.advance(0);
+  loop.advance(35);
+  assert.strictEqual(steps.length, 3);
+  assert.ok(Math.abs(loop.accumulator - 5) < 1e-9);
+});
+
+test("ignores frames that go back in time", () => {
+  const { loop, steps } = recordingLoop({ step: 10 });
+
+  loop.advance(100);
+  loop.advance(50);
+  assert.strictEqual(loop.accumulator, 0);
+  loop.advance(60);
+  assert.strictEqual(steps.length, 1);
+});
+
+test("does not step while paused and forgets the paused time on resume", () => {
+  const { loop, steps } = recordingLoop({ step: 10 });
+
+  loop.advance(0);
+  loop.pause();
+  assert.strictEqual(loop.advance(500), 1);
+  assert.strictEqual(steps.length, 0);
+
+  loop.resume();
+  loop.advance(5000);
+  assert.strictEqual(steps.length, 0);
+  loop.advance(5010);
+  assert.strictEqual(steps.length, 1);
+});
+
+test("stepMany runs steps right away, even while paused", () => {
+  const { loop, ticks } = recordingLoop({ step: 10 });
+
+  loop.pause();
+  assert.strictEqual(loop.stepMany(4), 40);
+  assert.deepStrictEqual(ticks, [0, 1, 2, 3]);
+  assert.strictEqual(loop.stepCount, 4);
+});
+
+test("defaults to 60 Hz with a cap of five steps per frame", () => {
+  const { loop, steps } = recordingLoop();
+
+  assert.strictEqual(loop.step, SIM_STEP_MS);
+  loop.advance(0);
+  loop.advance(SIM_STEP_MS * (SIM_MAX_STEPS_PER_FRAME + 10));
+  assert.strictEqual(steps.length, SIM_MAX_STEPS_PER_FRAME);
+});
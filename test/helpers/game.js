@@ -0,0 +1,145 @@
+// game.js - Loads the game's browser scripts into Node for tests
+// The scripts are plain globals written for the browser, so they are run in
+// the global scope on top of a minimal window/document stand-in, sharing
+// top-level declarations the way <script> tags do. Each test file runs in its
+// own process (node --test), so every file gets a fresh game.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// Everything the game needs for a headless level, in page order
+const GAME_SCRIPTS = [
+  "engine/events.js",
+  "engine/random.js",
+  "engine/replay.js",
+  "engine/input.js",
+  "engine/controls.js",
+  "engine/entity.js",
+  "engine/raycaster.js",
+  "engine/player.js",
+  "engine/gameloop.js",
+  "engine/pathfinding.js",
+  "game/monsters.js",
+  "game/projectiles.js",
+  "game/levels.js",
+  "game/party.js",
+  "game/combat.js",
+  "game/effects.js",
+  "game/savegame.js",
+  "game/items.js",
+  "game/mechanisms.js",
+  "game/spells.js",
+  "game/progression.js",
+  "game/beholder.js"
+];
+
+// Lighting is optional: pass { lighting: true } to loadGame()
+const LIGHTING_SCRIPTS = [
+  "engine/normal.js",
+  "engine/lighting.js",
+  "engine/lighting-integration.js"
+];
+
+// Any DOM element: accepts every call and property the game uses on one
+function fakeElement() {
+  return {
+    style: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    appendChild() {},
+    removeChild() {},
+    addEventListener() {},
+    setAttribute() {},
+    getContext: () => new Proxy({}, { get: () => () => ({ data: [] }) })
+  };
+}
+
+function installBrowserGlobals() {
+  global.window = global;
+  global.addEventListener = () => {};
+  global.removeEventListener = () => {};
+  global.requestAnimationFrame = () => 0;
+  global.Image = class { constructor() { this.complete = false; this.naturalWidth = 0; } };
+  global.FontFace = class { load() { return Promise.resolve(this); } };
+  global.document = {
+    fonts: { add() {} },
+    hidden: false,
+    addEventListener() {},
+    querySelectorAll: () => [],
+    getElementById: () => null,
+    createElement: fakeElement,
+    head: fakeElement(),
+    body: fakeElement()
+  };
+
+  const stored = {};
+  global.localStorage = {
+    getItem: key => (key in stored ? stored[key] : null),
+    setItem: (key, value) => { stored[key] = String(value); },
+    removeItem: key => { delete stored[key]; }
+  };
+}
+
+function runScript(file) {
+  const source = fs.readFileSync(path.join(ROOT, file), "utf8").replace(/^\uFEFF/, "");
+  vm.runInThisContext(source, { filename: file });
+}
+
+// Read a top-level declaration of the game scripts (consts and classes aren't
+// properties of the global object)
+function gameGlobal(name) {
+  return vm.runInThisContext(name);
+}
+
+// Load the scripts and start a level the way initGame() does, without the DOM
+// panels. Returns the global scope the game lives in.
+function loadGame(options = {}) {
+  installBrowserGlobals();
+
+  // Keep the scripts' "loaded successfully" chatter out of the test output
+  const saved = [console.log, console.warn];
+  if (!options.verbose) console.log = console.warn = () => {};
+  try {
+    const scripts = options.lighting ?
+      [...GAME_SCRIPTS.slice(0, GAME_SCRIPTS.indexOf("game/monsters.js")), ...LIGHTING_SCRIPTS,
+        ...GAME_SCRIPTS.slice(GAME_SCRIPTS.indexOf("game/monsters.js"))] :
+      GAME_SCRIPTS;
+    scripts.forEach(runScript);
+
+    global.animX = () => global.player.x;
+    global.animY = () => global.player.y;
+    global.log = () => {};
+
+    if (options.lighting) {
+      initNormalMapping();
+      setupLightingSystem();
+      initLightingIntegration();
+    }
+
+    vm.runInThisContext(`
+      entityManager = new EntityManager();
+      party = createDefaultParty();
+      gameState.level = ${options.level || 1};
+    `);
+    global.updateGame = updateGame;
+    loadLevelData(getLevel(options.level || 1), entityManager, global.lightingManager || null);
+  } finally {
+    [console.log, console.warn] = saved;
+  }
+  return global;
+}
+
+// Run simulation steps with console output silenced
+function quietly(fn) {
+  const saved = [console.log, console.warn];
+  console.log = console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    [console.log, console.warn] = saved;
+  }
+}
+
+module.exports = { loadGame, gameGlobal, quietly };
@@ -0,0 +1,75 @@
+// monsters.test.js - Tests for monster AI (game/monsters.js)
+// Run with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame, gameGlobal, quietly } = require("./helpers/game.js");
+
+const game = loadGame();
+
+const SAVE_ENTITY_TYPES = gameGlobal("SAVE_ENTITY_TYPES");
+
+function findSpider() {
+  return game.entityManager.getByType("monster").find(m => m.monsterType === "spider");
+}
+
+test("monsters start out idle", () => {
+  for (const monster of game.entityManager.getByType("monster")) {
+    assert.strictEqual(monster.state, "idle");
+  }
+});
+
+test("the patrolling spider in the first level walks its whole route", () => {
+  const spider = findSpider();
+  assert.ok(spider, "level 1 has a spider");
+
+  // Keep the party out of the picture so the spider only patrols
+  spider.properties.sightRange = 0;
+
+  const route = spider.patrolPoints.map(p => `${Math.floor(p.x)},${Math.floor(p.y)}`);
+  const visited = new Set();
+
+  quietly(() => {
+    for (let i = 0; i < 60 * 60 && visited.size < route.length; i++) {
+      game.stepSimulation(1);
+      const tile = `${Math.floor(spider.x)},${Math.floor(spider.y)}`;
+      if (route.includes(tile) && spider.distanceTo({ x: Math.floor(spider.x) + 0.5, y: Math.floor(spider.y) + 0.5 }) < 0.2) {
+        visited.add(tile);
+      }
+    }
+  });
+
+  assert.deepStrictEqual([...visited].sort(), [...route].sort());
+});
+
+test("a restored monster carries on patrolling", () => {
+  const spider = findSpider();
+  const data = SAVE_ENTITY_TYPES.monster.save(spider);
+
+  // Saves from before monsters had a state set
+  delete data.state;
+  const restored = SAVE_ENTITY_TYPES.monster.load({ ...data, x: spider.x, y: spider.y });
+
+  assert.strictEqual(restored.state, "idle");
+  assert.strictEqual(restored.targetX, spider.patrolPoints[restored.currentPatrolIndex].x);
+});
+
+test("a monster with an unknown projectile fights in melee instead", () => {
+  const { player } = game;
+  Object.assign(player, { x: 2.5, y: 2.5, isMoving: false });
+
+  const archer = quietly(() => game.createMonster("skeletonArcher", 3.5, 2.5, { projectile: "noSuchArrow" }));
+  assert.strictEqual(archer.isRanged(), false);
+
+  const attacks = [];
+  const resolveMonsterAttack = game.resolveMonsterAttack;
+  game.resolveMonsterAttack = monster => attacks.push(monster);
+  try {
+    const projectiles = game.entityManager.getByType("projectile").length;
+    quietly(() => archer.update(16, player, game.worldMap, game.castRay));
+    assert.deepStrictEqual(attacks, [archer]);
+    assert.strictEqual(game.entityManager.getByType("projectile").length, projectiles);
+  } finally {
+    game.resolveMonsterAttack = resolveMonsterAttack;
+  }
+});
@@ -0,0 +1,144 @@
+// raycaster.test.js - Tests for the grid raycaster (engine/raycaster.js)
+// Run with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { Raycaster, RAY_MAX_DISTANCE } = require("../engine/raycaster.js");
+
+const EAST = 0;
+const SOUTH = Math.PI / 2;
+const NORTH = -Math.PI / 2;
+
+// 5x5 room: wall border, tile 2 at (3, 1) and tile 3 at (2, 2)
+const ROOM = [
+  [1, 1, 1, 1, 1],
+  [1, 0, 0, 2, 1],
+  [1, 0, 3, 0, 1],
+  [1, 0, 0, 0, 1],
+  [1, 1, 1, 1, 1]
+];
+
+test("hits the first wall along a grid row", () => {
+  const ray = new Raycaster().castRay(ROOM, 1.5, 1.5, EAST);
+
+  assert.strictEqual(ray.hit, true);
+  assert.strictEqual(ray.tileX, 3);
+  assert.strictEqual(ray.tileY, 1);
+  assert.strictEqual(ray.wallType, 2);
+  assert.strictEqual(ray.hitVertical, true);
+  assert.ok(Math.abs(ray.distance - 1.5) < 1e-9);
+  assert.ok(Math.abs(ray.hitX - 3) < 1e-9);
+});
+
+test("measures the distance along a diagonal ray", () => {
+  const ray = new Raycaster().castRay(ROOM, 1.5, 3.25, -Math.PI / 4);
+
+  // Up through the floor at (1, 2), then into the west face of the tile at (2, 2)
+  assert.strictEqual(ray.tileX, 2);
+  assert.strictEqual(ray.tileY, 2);
+  assert.ok(Math.abs(ray.distance - Math.SQRT2 * 0.5) < 1e-9);
+  assert.ok(Math.abs(ray.hitX - 2) < 1e-9 && Math.abs(ray.hitY - 2.75) < 1e-9);
+  assert.strictEqual(ray.hitVertical, true);
+});
+
+test("reports which face was hit and where along it", () => {
+  const ray = new Raycaster().castRay(ROOM, 1.25, 3.5, NORTH);
+
+  assert.strictEqual(ray.tileY, 0);
+  assert.strictEqual(ray.hitVertical, false);
+  assert.ok(Math.abs(ray.distance - 2.5) < 1e-9);
+  assert.ok(Math.abs(ray.textureX - 0.25) < 1e-9);
+});
+
+test("treats the outside of the grid as wall and stops at maxDistance", () => {
+  const open = [[0, 0, 0]];
+  const outside = new Raycaster().castRay(open, 0.5, 0.5, EAST);
+  assert.strictEqual(outside.hit, true);
+  assert.strictEqual(outside.tileX, 3);
+
+  const far = new Raycaster({ maxDistance: 2 }).castRay([[0, 0, 0, 0, 0, 0]], 0.5, 0.5, EAST);
+  assert.strictEqual(far.hit, false);
+  assert.strictEqual(far.distance, 2);
+  assert.strictEqual(RAY_MAX_DISTANCE, 30);
+});
+
+test("uses isSolid to decide what stops a ray", () => {
+  // Tile 3 is see-through here
+  const raycaster = new Raycaster({ isSolid: tile => tile !== 0 && tile !== 3 });
+  const ray = raycaster.castRay(ROOM, 1.5, 2.5, EAST);
+
+  assert.strictEqual(ray.tileX, 4);
+  assert.ok(Math.abs(ray.distance - 2.5) < 1e-9);
+});
+
+test("a ray starting inside a wall hits immediately", () => {
+  const ray = new Raycaster().castRay(ROOM, 0.5, 0.5, EAST);
+
+  assert.strictEqual(ray.hit, true);
+  assert.strictEqual(ray.distance, 0);
+});
+
+// ==================== DOORS ====================
+const DOOR_MAP = [
+  [0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0],
+  [0, 0, 2, 0, 0],
+  [0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0]
+];
+
+function doorRaycaster(openAmount) {
+  return new Raycaster({ getDoorOpenAmount: (x, y) => (x === 2 && y === 2 ? openAmount : 0) });
+}
+
+// Which x positions along the door a north/south ray passes through
+function passesAt(raycaster, fromY, angle) {
+  const passed = [];
+  for (let x = 2.05; x < 3; x += 0.1) {
+    const ray = raycaster.castRay(DOOR_MAP, x, fromY, angle);
+    if (ray.tileY !== 2) passed.push(Number(x.toFixed(2)));
+  }
+  return passed;
+}
+
+test("a closed door stops rays like a wall", () => {
+  const ray = doorRaycaster(0).castRay(DOOR_MAP, 2.5, 4.5, NORTH);
+
+  assert.strictEqual(ray.tileY, 2);
+  assert.strictEqual(ray.doorOpenAmount, 0);
+  assert.ok(Math.abs(ray.distance - 1.5) < 1e-9);
+});
+
+test("rays pass through the open part of a sliding door", () => {
+  const raycaster = doorRaycaster(0.5);
+
+  assert.deepStrictEqual(passesAt(raycaster, 4.5, NORTH), [2.05, 2.15, 2.25, 2.35, 2.45]);
+
+  const panel = raycaster.castRay(DOOR_MAP, 2.75, 4.5, NORTH);
+  assert.strictEqual(panel.tileY, 2);
+  assert.strictEqual(panel.doorOpenAmount, 0.5);
+});
+
+test("the door gap is on the same side from both directions", () => {
+  const raycaster = doorRaycaster(0.5);
+
+  assert.deepStrictEqual(passesAt(raycaster, 0.5, SOUTH), passesAt(raycaster, 4.5, NORTH));
+});
+
+test("the door texture slides with the panel", () => {
+  const raycaster = doorRaycaster(0.25);
+
+  // The panel's leading edge shows the start of the texture
+  const edge = raycaster.castRay(DOOR_MAP, 2.26, 4.5, NORTH);
+  assert.ok(Math.abs(edge.textureX - 0.01) < 1e-9);
+
+  // Seen from the far side the texture is mirrored, like any wall
+  const back = raycaster.castRay(DOOR_MAP, 2.26, 0.5, SOUTH);
+  assert.ok(Math.abs(back.textureX - 0.99) < 1e-9);
+});
+
+test("a fully open door lets every ray through", () => {
+  const raycaster = doorRaycaster(1);
+
+  assert.strictEqual(passesAt(raycaster, 4.5, NORTH).length, 10);
+});
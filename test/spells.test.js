@@ -0,0 +1,91 @@
+// spells.test.js - Tests for the spell book (game/spells.js)
+// Run with: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame, gameGlobal, quietly } = require("./helpers/game.js");
+
+const game = loadGame({ lighting: true });
+const SPELL_TYPES = gameGlobal("SPELL_TYPES");
+
+function sorcerer() {
+  return game.party.characters.find(c => c.characterClass === "Sorcerer");
+}
+
+const EAST = 1;
+const WEST = 3;
+
+// Stand the party on a tile facing east
+function placeParty(x, y) {
+  Object.assign(game.player, { x: x + 0.5, y: y + 0.5, direction: EAST, angle: 0, isMoving: false });
+}
+
+test("lighting is set up, so the level's lights are in the manager", () => {
+  assert.ok(game.lightingManager);
+  assert.ok(game.Light);
+  assert.ok(Object.keys(game.lightingManager.lights).length >= game.getLevel(1).lights.length);
+});
+
+test("Light adds a light that follows the party, survives a save and expires", () => {
+  const caster = sorcerer();
+  caster.sp = caster.maxSp;
+
+  const result = quietly(() => game.castSpell(caster, "light"));
+  assert.strictEqual(result.success, true, result.message);
+
+  const lights = game.getSpellLights();
+  assert.strictEqual(lights.length, 1);
+  assert.ok(game.lightingManager.getById(lights[0].id));
+  const lightId = lights[0].id;
+
+  // Recasting renews the light instead of adding a second one
+  game.spellCooldowns[caster.index] = {};
+  quietly(() => game.castSpell(caster, "light"));
+  assert.strictEqual(game.getSpellLights().length, 1);
+
+  game.player.x += 1;
+  quietly(() => game.stepSimulation(1));
+  assert.strictEqual(game.getSpellLights()[0].x, game.player.x);
+
+  quietly(() => game.quickSave());
+  const savedId = game.getSpellLights()[0].id;
+  assert.notStrictEqual(savedId, lightId);
+
+  quietly(() => game.stepSimulation(Math.ceil(SPELL_TYPES.light.duration / (1000 / 60)) + 1));
+  assert.strictEqual(game.getSpellLights().length, 0);
+
+  quietly(() => game.quickLoad());
+  assert.deepStrictEqual(game.getSpellLights().map(light => light.id), [savedId]);
+});
+
+test("Shocking Grasp hits the monster on the tile ahead", () => {
+  const caster = sorcerer();
+  caster.sp = caster.maxSp;
+  game.spellCooldowns[caster.index] = {};
+
+  const monster = game.entityManager.getByType("monster").find(m => m.active);
+  const tileX = Math.floor(monster.x);
+  const tileY = Math.floor(monster.y);
+  placeParty(tileX - 1, tileY);
+  monster.properties.health = 1000;
+
+  const sp = caster.sp;
+  const result = quietly(() => game.castSpell(caster, "shockingGrasp"));
+  assert.strictEqual(result.success, true, result.message);
+  assert.ok(monster.properties.health < 1000);
+  assert.strictEqual(caster.sp, sp - SPELL_TYPES.shockingGrasp.cost);
+});
+
+test("Shocking Grasp fizzles without costing anything when nothing is in reach", () => {
+  const caster = sorcerer();
+  caster.sp = caster.maxSp;
+  game.spellCooldowns[caster.index] = {};
+
+  const monster = game.entityManager.getByType("monster").find(m => m.active);
+  placeParty(Math.floor(monster.x) - 1, Math.floor(monster.y));
+  game.player.direction = WEST;
+
+  const result = quietly(() => game.castSpell(caster, "shockingGrasp"));
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(caster.sp, caster.maxSp);
+});
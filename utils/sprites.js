@@ -9,7 +9,7 @@ class SpriteSheet {
     this.loaded = false;
     this.image = new Image();
     this.image.onload = () => {
-      this.loaded = true;
+      this.markLoaded();
       console.log(`Sprite sheet loaded: ${imagePath}`);
     };
     this.image.onerror = (err) => {
@@ -30,25 +30,31 @@ class SpriteSheet {
   
   // Returns true if the sprite sheet is ready to use
   isReady() {
-    // If not loaded yet, check if it's loaded now and initialize if needed
-    if (!this.loaded && this.image.complete) {
-      this.loaded = true;
-      
-      // If framesPerRow wasn't provided, calculate it
-      if (!this.framesPerRow) {
-        this.framesPerRow = Math.floor(this.image.width / this.frameWidth);
-      }
-      
-      // If totalFrames wasn't provided, calculate it
-      if (!this.totalFrames) {
-        const rows = Math.floor(this.image.height / this.frameHeight);
-        this.totalFrames = this.framesPerRow * rows;
-      }
+    // If not loaded yet, check if it's loaded now and initialize if needed.
+    // A sheet that failed to load is also "complete", but has no pixels.
+    if (!this.loaded && this.image.complete && this.image.naturalWidth > 0) {
+      this.markLoaded();
     }
     
     return this.loaded;
   }
   
+  // Work out the frame layout from the image once it's there
+  markLoaded() {
+    this.loaded = true;
+    
+    // If framesPerRow wasn't provided, calculate it
+    if (!this.framesPerRow) {
+      this.framesPerRow = Math.floor(this.image.width / this.frameWidth);
+    }
+    
+    // If totalFrames wasn't provided, calculate it
+    if (!this.totalFrames) {
+      const rows = Math.floor(this.image.height / this.frameHeight);
+      this.totalFrames = this.framesPerRow * rows;
+    }
+  }
+  
   // Get the source rectangle for a specific frame
   getFrameRect(frameIndex) {
     if (frameIndex >= this.totalFrames) {